@@ -0,0 +1,26 @@
+// Rewrites the parserId enum in .actor/INPUT_SCHEMA.json from the venue
+// registry. Run after adding or renaming a parser:
+//   node scripts/sync_input_schema.mjs
+import fs from 'node:fs';
+
+import { listParserIds, listVenues } from '../src/venues/index.js';
+
+const schemaPath = new URL('../.actor/INPUT_SCHEMA.json', import.meta.url);
+const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+const venueProps = schema.properties.venues.items.properties;
+
+venueProps.parserId.enum = listParserIds();
+venueProps.id.description = `Venue ID. Built-in venues: ${listVenues().map((v) => v.id).join(', ')}. Any other id needs "startUrl" and either "selectors" or "timely".`;
+
+// Same layout as the hand-written file: short arrays and objects stay inline.
+const format = (value, indent = '') => {
+    const inline = JSON.stringify(value, null, 1).replace(/\s*\n\s*/g, ' ').replace(/\[ /g, '[').replace(/ \]/g, ']');
+    if (value === null || typeof value !== 'object' || inline.length <= 40) return inline;
+    const inner = `${indent}  `;
+    if (Array.isArray(value)) return `[\n${value.map((v) => inner + format(v, inner)).join(',\n')}\n${indent}]`;
+    const entries = Object.entries(value).map(([k, v]) => `${inner}${JSON.stringify(k)}: ${format(v, inner)}`);
+    return `{\n${entries.join(',\n')}\n${indent}}`;
+};
+
+fs.writeFileSync(schemaPath, format(schema));
+console.log(`Updated ${venueProps.parserId.enum.length} parser ids in INPUT_SCHEMA.json`);
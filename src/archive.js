@@ -0,0 +1,312 @@
+import { Actor } from 'apify';
+
+// ------------------------------------------------------------------------
+// Network archives (record / replay)
+// In "record" mode every document and XHR/fetch response a venue's pages
+// receive, plus the calls parsers make through page.request (the Timely
+// API), is saved as a HAR-like archive per venue:
+//   ARCHIVE-<venueId> in the "network-archives" key-value store
+//   { log: { version, creator, recordedAt, venueId, entries: [...] } }
+// In "replay" mode those archives answer every request through Playwright
+// routing and nothing reaches the network, so a crawl can be re-run
+// exactly as it was recorded.
+// ------------------------------------------------------------------------
+
+export const ARCHIVE_STORE_NAME = 'network-archives';
+export const ARCHIVE_MODES = ['off', 'record', 'replay'];
+
+const RECORDED_RESOURCE_TYPES = new Set(['document', 'xhr', 'fetch']);
+const TEXT_MIME_PATTERN = /^text\/|[/+](json|xml|javascript|calendar)\b/i;
+
+// Key-value store keys only allow a-zA-Z0-9!-_.'()
+export const archiveKey = (venueId) => `ARCHIVE-${String(venueId)}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+
+const stripQuery = (url) => {
+    try {
+        const u = new URL(url);
+        return `${u.origin}${u.pathname}`;
+    } catch (e) {
+        return url;
+    }
+};
+
+// Query parameters that change from run to run: the Timely API's date
+// window is computed from the current time, `_` is jQuery's cache buster.
+const VOLATILE_QUERY_PARAMS = new Set(['start_date_utc', 'end_date_utc', '_']);
+
+// URL without its volatile parameters, the others sorted.
+const stableUrl = (url) => {
+    try {
+        const u = new URL(url);
+        const params = [...u.searchParams].filter(([name]) => !VOLATILE_QUERY_PARAMS.has(name));
+        params.sort(([a], [b]) => a.localeCompare(b));
+        const query = new URLSearchParams(params).toString();
+        return `${u.origin}${u.pathname}${query ? `?${query}` : ''}`;
+    } catch (e) {
+        return url;
+    }
+};
+
+const headerValue = (headers, name) => {
+    const found = (headers || []).find((h) => h.name.toLowerCase() === name);
+    return found ? found.value : null;
+};
+
+// Playwright Response and APIResponse share url/status/statusText/headers/body.
+const toEntry = async (response, { method, resourceType, parserId, requestUrl }) => {
+    const headers = Object.entries(response.headers() || {}).map(([name, value]) => ({ name, value }));
+    const mimeType = headerValue(headers, 'content-type') || '';
+
+    let content = { mimeType, size: 0 };
+    const body = await response.body().catch(() => null); // redirects have no body
+    if (body) {
+        content = TEXT_MIME_PATTERN.test(mimeType)
+            ? { mimeType, size: body.length, text: body.toString('utf8') }
+            : { mimeType, size: body.length, text: body.toString('base64'), encoding: 'base64' };
+    }
+
+    return {
+        startedDateTime: new Date().toISOString(),
+        request: { method, url: response.url() },
+        response: {
+            status: response.status(),
+            statusText: response.statusText(),
+            headers,
+            content,
+        },
+        _resourceType: resourceType,
+        _parserId: parserId || null,
+        _crawlerRequestUrl: requestUrl || null,
+    };
+};
+
+// Returns the page with `request` swapped for `requestContext`. page.request
+// is an APIRequestContext and bypasses page.route(), so both recording and
+// replay have to intercept it here.
+export const withPageRequest = (page, requestContext) => new Proxy(page, {
+    get(target, prop) {
+        if (prop === 'request') return requestContext;
+        const value = Reflect.get(target, prop, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+    },
+});
+
+// ------------------------------------------------------------
+// Recording
+// ------------------------------------------------------------
+export const createArchiveRecorder = ({ log } = {}) => {
+    // venueId -> Map("METHOD url" -> entry); the last response for a URL wins.
+    const archives = new Map();
+    const pending = new Set();
+
+    const capture = (venueId, response, meta) => {
+        const task = toEntry(response, meta)
+            .then((entry) => {
+                if (!archives.has(venueId)) archives.set(venueId, new Map());
+                archives.get(venueId).set(`${entry.request.method} ${entry.request.url}`, entry);
+            })
+            .catch((e) => {
+                if (log) log.debug(`Could not record ${response.url()}: ${e.message}`);
+            })
+            .finally(() => pending.delete(task));
+        pending.add(task);
+        return task;
+    };
+
+    // Records the documents and XHR/fetch responses of one crawler page.
+    const attach = (page, { venueId, parserId, requestUrl }) => {
+        page.on('response', (response) => {
+            const resourceType = response.request().resourceType();
+            if (!RECORDED_RESOURCE_TYPES.has(resourceType)) return;
+            capture(venueId, response, { method: response.request().method(), resourceType, parserId, requestUrl });
+        });
+    };
+
+    // Wraps page.request so API calls made by parsers are recorded too.
+    const wrapPage = (page, { venueId, parserId, requestUrl }) => {
+        const original = page.request;
+        const recorded = (method, call) => async (urlOrRequest, options = {}) => {
+            const response = await call(urlOrRequest, options);
+            await capture(venueId, response, {
+                method: method || (options.method || 'GET').toUpperCase(),
+                resourceType: 'fetch',
+                parserId,
+                requestUrl,
+            });
+            return response;
+        };
+        return withPageRequest(page, new Proxy(original, {
+            get(target, prop) {
+                const value = Reflect.get(target, prop, target);
+                if (typeof value !== 'function') return value;
+                const bound = value.bind(target);
+                if (['get', 'post', 'put', 'patch', 'delete', 'head'].includes(prop)) return recorded(prop.toUpperCase(), bound);
+                if (prop === 'fetch') return recorded(null, bound);
+                return bound;
+            },
+        }));
+    };
+
+    // Waits for bodies still being read; call before the page closes.
+    const settle = async () => {
+        while (pending.size) await Promise.all(Array.from(pending));
+    };
+
+    const save = async ({ storeName = ARCHIVE_STORE_NAME } = {}) => {
+        await settle();
+        const store = await Actor.openKeyValueStore(storeName);
+        const recordedAt = new Date().toISOString();
+        for (const [venueId, entries] of archives) {
+            await store.setValue(archiveKey(venueId), {
+                log: {
+                    version: '1.2',
+                    creator: { name: 'venue-archive', version: '1' },
+                    recordedAt,
+                    venueId,
+                    entries: Array.from(entries.values()),
+                },
+            });
+            if (log) log.info(`Recorded ${entries.size} response(s) for ${venueId} into "${storeName}" (${archiveKey(venueId)}).`);
+        }
+        return Array.from(archives.keys());
+    };
+
+    return { attach, wrapPage, settle, save };
+};
+
+// ------------------------------------------------------------
+// Replay
+// ------------------------------------------------------------
+
+// Looks an archive entry up by, in turn:
+//   - the exact URL
+//   - the URL without its volatile parameters, so the Timely API calls of a
+//     later run (another start_date_utc) still find their own page
+//   - an entry recorded without a query, which stands for every query on
+//     its path (fixture routes)
+//   - the entries recorded for the path that were not served yet, in
+//     recorded order, so pages recorded with other parameters (an older
+//     per_page) are replayed one after another instead of repeating one
+// Anything else is a miss.
+export const indexArchiveEntries = (archives) => {
+    const exact = new Map();
+    const stable = new Map();
+    const byPath = new Map();
+    for (const archive of archives) {
+        for (const entry of (archive && archive.log && archive.log.entries) || []) {
+            const method = (entry.request.method || 'GET').toUpperCase();
+            exact.set(`${method} ${entry.request.url}`, entry);
+            const stableKey = `${method} ${stableUrl(entry.request.url)}`;
+            if (!stable.has(stableKey)) stable.set(stableKey, entry);
+            const pathKey = `${method} ${stripQuery(entry.request.url)}`;
+            if (!byPath.has(pathKey)) byPath.set(pathKey, []);
+            byPath.get(pathKey).push(entry);
+        }
+    }
+    const served = new Set();
+    return {
+        find: (url, method = 'GET') => {
+            const m = method.toUpperCase();
+            const pathKey = `${m} ${stripQuery(url)}`;
+            const found = exact.get(`${m} ${url}`)
+                || stable.get(`${m} ${stableUrl(url)}`)
+                || exact.get(pathKey)
+                || (byPath.get(pathKey) || []).find((e) => !served.has(e))
+                || null;
+            if (found) served.add(found);
+            return found;
+        },
+    };
+};
+
+export const entryBody = (entry) => {
+    const { content = {} } = entry.response;
+    if (!content.text) return Buffer.from('');
+    return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+};
+
+// page.route() fulfill options for an archive entry.
+export const toFulfillOptions = (entry) => {
+    const headers = {};
+    for (const { name, value } of entry.response.headers || []) {
+        // The body is stored decoded; length and encoding headers would no longer match.
+        if (/^(content-length|content-encoding|transfer-encoding)$/i.test(name)) continue;
+        headers[name] = value;
+    }
+    return { status: entry.response.status, headers, body: entryBody(entry) };
+};
+
+// A stand-in for page.request that answers from the archive.
+export const createReplayRequestContext = (findEntry) => {
+    const respond = (method) => async (urlOrRequest, options = {}) => {
+        const url = typeof urlOrRequest === 'string' ? urlOrRequest : urlOrRequest.url();
+        const entry = findEntry(url, method || options.method || 'GET');
+        const status = entry ? entry.response.status : 404;
+        const body = entry ? entryBody(entry) : Buffer.from('');
+        const headers = entry ? toFulfillOptions(entry).headers : {};
+        return {
+            url: () => url,
+            status: () => status,
+            statusText: () => (entry ? entry.response.statusText || '' : 'Not Found'),
+            ok: () => status >= 200 && status < 300,
+            headers: () => headers,
+            body: async () => body,
+            text: async () => body.toString('utf8'),
+            json: async () => JSON.parse(body.toString('utf8')),
+            dispose: async () => {},
+        };
+    };
+    return {
+        get: respond('GET'),
+        post: respond('POST'),
+        put: respond('PUT'),
+        patch: respond('PATCH'),
+        delete: respond('DELETE'),
+        head: respond('HEAD'),
+        fetch: respond(null),
+    };
+};
+
+export const loadArchives = async (venueIds, { storeName = ARCHIVE_STORE_NAME } = {}) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const archives = new Map();
+    for (const venueId of venueIds) {
+        const archive = await store.getValue(archiveKey(venueId));
+        if (archive) archives.set(venueId, archive);
+    }
+    return archives;
+};
+
+export const createArchiveReplayer = (archives, { log } = {}) => {
+    const index = indexArchiveEntries(archives.values());
+    const routedContexts = new WeakSet();
+    const missed = new Set();
+
+    // Routes the whole browser context once, so pages a parser opens itself
+    // are served from the archive as well. Unknown URLs are aborted.
+    const attach = async (page) => {
+        const browserContext = page.context();
+        if (routedContexts.has(browserContext)) return;
+        routedContexts.add(browserContext);
+        await browserContext.route('**/*', async (route) => {
+            const req = route.request();
+            const entry = index.find(req.url(), req.method());
+            if (entry) return route.fulfill(toFulfillOptions(entry));
+            if (!missed.has(req.url()) && RECORDED_RESOURCE_TYPES.has(req.resourceType())) {
+                missed.add(req.url());
+                if (log) log.warning(`Replay: no archived response for ${req.method()} ${req.url()}.`);
+            }
+            return route.abort('internetdisconnected');
+        });
+    };
+
+    const wrapPage = (page) => withPageRequest(page, createReplayRequestContext(index.find));
+
+    // Replayed dates are normalized as of the recording, not as of today.
+    const recordedAt = (venueId) => {
+        const archive = archives.get(venueId);
+        return (archive && archive.log && archive.log.recordedAt) || null;
+    };
+
+    return { attach, wrapPage, recordedAt };
+};
@@ -0,0 +1,156 @@
+import { createHash } from 'node:crypto';
+
+import { Actor } from 'apify';
+
+// ------------------------------------------------------------------------
+// Artist identity
+// Every artist name gets a canonical key (Unicode-normalized, case-folded,
+// no leading "The" or library-style trailing ", The", no "feat. ..." tail)
+// and an artistId. A persisted alias table maps name variants to one
+// artistId, so "The Black Angels", "Black Angels, The" and "BLACK ANGELS"
+// count as one act across venues and runs.
+//
+// ALIASES record in the "artist-aliases" key-value store:
+//   {
+//     updatedAt,
+//     artists: { [artistId]: { artistId, name, variants: [...], firstSeenAt } },
+//     aliases: { [canonicalKey]: artistId }
+//   }
+// Editing `aliases` by hand (or the artistAliases input) merges acts whose
+// keys differ, e.g. "sir woman" -> the artistId of "Sir Woman Band".
+// ------------------------------------------------------------------------
+
+export const ARTIST_STORE_NAME = 'artist-aliases';
+export const ARTIST_ALIASES_KEY = 'ALIASES';
+
+const FEATURING_TAIL = /\s+(?:feat\.?|ft\.?|featuring)\s+.*$/i;
+
+// "Beyoncé" and "Beyonce", "Guns N’ Roses" and "Guns N' Roses" share a key.
+export const canonicalArtistKey = (name) => {
+    if (!name) return null;
+    const key = String(name)
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .replace(FEATURING_TAIL, '')
+        .toLowerCase()
+        .replace(/[\u2018\u2019\u201B`\u00B4]/g, "'")
+        .replace(/\s*&\s*/g, ' and ')
+        .replace(/^the\s+/, '')
+        .replace(/\s*,\s*the$/, '')
+        .replace(/[^\p{L}\p{N}']+/gu, ' ')
+        .replace(/'/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return key || null;
+};
+
+export const buildArtistId = (key) => createHash('sha1').update(`artist|${key}`).digest('hex').slice(0, 16);
+
+// Display form: composed Unicode, straight quotes, no "feat." tail.
+export const canonicalDisplayName = (name) => String(name || '')
+    .normalize('NFC')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(FEATURING_TAIL, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const isAllCaps = (s) => /\p{Lu}/u.test(s) && s === s.toUpperCase();
+
+const hasDiacritics = (s) => /\p{M}/u.test(s.normalize('NFD'));
+
+// Which spelling represents an act: anything beats ALL CAPS, accents beat
+// none ("Beyoncé") and a leading "The" beats none ("The Black Angels").
+const preferName = (current, candidate) => {
+    if (!current) return candidate;
+    if (isAllCaps(current) && !isAllCaps(candidate)) return candidate;
+    if (isAllCaps(candidate)) return current;
+    if (hasDiacritics(candidate) && !hasDiacritics(current)) return candidate;
+    if (!/^the\s/i.test(current) && /^the\s/i.test(candidate)) return candidate;
+    return current;
+};
+
+// Without a registry every name still gets a deterministic id.
+export const describeArtist = (name) => {
+    const key = canonicalArtistKey(name);
+    if (!key) return { artistId: null, artistNameCanonical: null };
+    return { artistId: buildArtistId(key), artistNameCanonical: canonicalDisplayName(name) };
+};
+
+// table: the stored ALIASES record (or null on the first run)
+// aliases: extra { "variant name": "canonical name" } pairs from the input
+export const createArtistRegistry = (table, { aliases: inputAliases = {}, now = new Date().toISOString() } = {}) => {
+    const artists = { ...((table && table.artists) || {}) };
+    const aliases = { ...((table && table.aliases) || {}) };
+    // artistId -> the name this run's rows carry
+    const runNames = new Map();
+    let changed = false;
+
+    // Hand-edited aliases may point at an id the table has no entry for yet.
+    const ensureArtist = (key, name) => {
+        const artistId = aliases[key] || buildArtistId(key);
+        if (aliases[key] !== artistId) {
+            aliases[key] = artistId;
+            changed = true;
+        }
+        if (!artists[artistId]) {
+            artists[artistId] = { artistId, name: canonicalDisplayName(name), variants: [], firstSeenAt: now };
+            changed = true;
+        }
+        return artistId;
+    };
+
+    for (const [variant, canonical] of Object.entries(inputAliases || {})) {
+        const variantKey = canonicalArtistKey(variant);
+        const canonicalKey = canonicalArtistKey(canonical);
+        if (!variantKey || !canonicalKey) continue;
+        const artistId = ensureArtist(canonicalKey, canonical);
+        if (aliases[variantKey] !== artistId) {
+            aliases[variantKey] = artistId;
+            changed = true;
+        }
+    }
+
+    // Returns { artistId, artistNameCanonical } and remembers the variant.
+    // The name is settled at an act's first resolve in a run, so all of its
+    // rows agree; a better spelling seen later only reaches the table, and
+    // the rows of the next run.
+    const resolve = (name) => {
+        const key = canonicalArtistKey(name);
+        if (!key) return { artistId: null, artistNameCanonical: null };
+
+        const artistId = ensureArtist(key, name);
+        const artist = artists[artistId];
+        const display = canonicalDisplayName(name);
+        if (!artist.variants.includes(display)) {
+            artist.variants.push(display);
+            const preferred = preferName(artist.name, display);
+            if (preferred !== artist.name) artist.name = preferred;
+            changed = true;
+        }
+        if (!runNames.has(artistId)) runNames.set(artistId, artist.name);
+        return { artistId, artistNameCanonical: runNames.get(artistId) };
+    };
+
+    // Looks a name up without recording it as a variant.
+    const idOf = (name) => {
+        const key = canonicalArtistKey(name);
+        return key ? aliases[key] || buildArtistId(key) : null;
+    };
+
+    const toRecord = () => ({ updatedAt: now, artists, aliases });
+
+    return { resolve, idOf, toRecord, hasChanges: () => changed };
+};
+
+export const openArtistRegistry = async ({ aliases } = {}) => {
+    const store = await Actor.openKeyValueStore(ARTIST_STORE_NAME);
+    const table = await store.getValue(ARTIST_ALIASES_KEY);
+    const registry = createArtistRegistry(table, { aliases });
+    return {
+        ...registry,
+        save: async () => {
+            if (registry.hasChanges()) await store.setValue(ARTIST_ALIASES_KEY, registry.toRecord());
+        },
+    };
+};
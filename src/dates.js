@@ -0,0 +1,269 @@
+// ------------------------------------------------------------------------
+// Event date normalization
+// Turns the assorted eventDateRaw formats produced by the venue parsers
+// (Timely start_datetime, JSON-LD startDate, aria-label fragments,
+// "Friday, Nov 28" lines without a year, ...) into local dates and times.
+// ------------------------------------------------------------------------
+
+export const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6 };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Offset (in minutes, east of UTC) of the given time zone at the given instant.
+const getTimeZoneOffsetMinutes = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    const map = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+    const asUtc = Date.UTC(+map.year, +map.month - 1, +map.day, +map.hour, +map.minute, +map.second);
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// Wall-clock time in `timeZone` -> UTC instant. Tries the offset in force
+// at a first guess and the one on the other side of a nearby DST switch.
+// When neither fits, the time falls in a spring-forward gap and never
+// happens locally; it is read with the pre-switch offset, which moves it
+// forward by the length of the gap (2:30 becomes 3:30 CDT).
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const first = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+    const second = getTimeZoneOffsetMinutes(new Date(guess - first * 60000), timeZone);
+    const fits = (offset) => getTimeZoneOffsetMinutes(new Date(guess - offset * 60000), timeZone) === offset;
+    const offset = [second, first].find(fits) ?? Math.min(first, second);
+    const date = new Date(guess - offset * 60000);
+    return { date, offset: getTimeZoneOffsetMinutes(date, timeZone) };
+};
+
+const formatOffset = (offset) => {
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// UTC instant -> wall-clock parts in `timeZone`
+const utcToZonedParts = (date, timeZone) => {
+    const offset = getTimeZoneOffsetMinutes(date, timeZone);
+    const local = new Date(date.getTime() + offset * 60000);
+    return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        day: local.getUTCDate(),
+        hour: local.getUTCHours(),
+        minute: local.getUTCMinutes(),
+        offset,
+    };
+};
+
+// UTC instant -> local YYYY-MM-DD in `timeZone`
+export const toLocalDate = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = utcToZonedParts(new Date(date), timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const isValidDay = (year, month, day) => {
+    if (!year || !month || !day || month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+// "7pm", "7:30 PM", "19:30" -> "HH:MM"
+export const parseClockTime = (text) => {
+    if (!text) return null;
+    const s = String(text).trim().toLowerCase();
+    let m = s.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\.?(?![a-z])/);
+    if (m) {
+        let hour = parseInt(m[1], 10);
+        const minute = m[2] ? parseInt(m[2], 10) : 0;
+        if (hour < 1 || hour > 12 || minute > 59) return null;
+        if (m[3] === 'p' && hour !== 12) hour += 12;
+        if (m[3] === 'a' && hour === 12) hour = 0;
+        return `${pad(hour)}:${pad(minute)}`;
+    }
+    m = s.match(/\b([01]?\d|2[0-3]):([0-5]\d)(?::\d{2})?\b/);
+    if (m) return `${pad(parseInt(m[1], 10))}:${m[2]}`;
+    return null;
+};
+
+// Pulls "Doors 7pm" / "Show: 8:00 PM" style labels out of free text.
+const extractLabelledTimes = (text) => {
+    const result = { doorsTime: null, showTime: null };
+    if (!text) return result;
+    const timePattern = '(\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m\\.?)?)';
+    const doors = String(text).match(new RegExp(`\\bdoors?(?:\\s+open)?\\s*(?:at|@|:|-)?\\s*${timePattern}`, 'i'));
+    const show = String(text).match(new RegExp(`\\b(?:show|music|start)s?(?:\\s+(?:time|starts?))?\\s*(?:at|@|:|-)?\\s*${timePattern}`, 'i'));
+    if (doors) result.doorsTime = parseClockTime(/[ap]\.?m/i.test(doors[1]) ? doors[1] : `${doors[1]}pm`);
+    if (show) result.showTime = parseClockTime(/[ap]\.?m/i.test(show[1]) ? show[1] : `${show[1]}pm`);
+    return result;
+};
+
+const monthFromName = (name) => (name ? MONTHS[name.toLowerCase().slice(0, 4).replace(/\.$/, '')] || MONTHS[name.toLowerCase().slice(0, 3)] : null);
+const weekdayFromName = (name) => {
+    if (!name) return null;
+    const key = name.toLowerCase().replace(/\.$/, '');
+    for (const len of [5, 4, 3]) {
+        const v = WEEKDAYS[key.slice(0, len)];
+        if (v !== undefined) return v;
+    }
+    return null;
+};
+
+// Picks the year for a date that was printed without one. Calendars list
+// upcoming shows, so a month/day that already passed (with some slack for
+// shows that just happened) belongs to the following year. A printed weekday
+// breaks the tie when it only matches one of the candidates.
+const inferYear = (month, day, weekday, reference, timeZone) => {
+    const ref = utcToZonedParts(reference, timeZone);
+    const refDay = Date.UTC(ref.year, ref.month - 1, ref.day);
+    const candidates = [ref.year, ref.year + 1, ref.year - 1].filter((y) => isValidDay(y, month, day));
+    if (!candidates.length) return null;
+
+    if (weekday !== null && weekday !== undefined) {
+        const matching = candidates.filter((y) => new Date(Date.UTC(y, month - 1, day)).getUTCDay() === weekday);
+        if (matching.length === 1) return matching[0];
+    }
+
+    const graceDays = 30;
+    const thisYear = Date.UTC(ref.year, month - 1, day);
+    if (candidates.includes(ref.year) && thisYear >= refDay - graceDays * 86400000) return ref.year;
+    if (candidates.includes(ref.year + 1)) return ref.year + 1;
+    return candidates[0];
+};
+
+// Returns { year, month, day, hour, minute, offset, yearInferred } or null.
+const parseDateParts = (text, reference, timeZone) => {
+    const s = String(text).trim();
+
+    // ISO-ish: 2025-11-28, 2025-11-28 20:00:00, 2025-11-28T20:00:00-06:00
+    let m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?/i);
+    if (m) {
+        const parts = {
+            year: +m[1], month: +m[2], day: +m[3],
+            hour: m[4] !== undefined ? +m[4] : null,
+            minute: m[5] !== undefined ? +m[5] : null,
+        };
+        if (!isValidDay(parts.year, parts.month, parts.day)) return null;
+        if (parts.hour !== null && (parts.hour > 23 || parts.minute > 59)) return null;
+        if (m[7]) {
+            // Built from the captured groups, so "20:00:00 -06:00" and
+            // trailing text after the offset do not lose the date.
+            const zone = m[7].toUpperCase() === 'Z' ? ['+', '00', '00'] : m[7].match(/([+-])(\d{2}):?(\d{2})/).slice(1);
+            const offset = (zone[0] === '-' ? -1 : 1) * (+zone[1] * 60 + +zone[2]);
+            const instant = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, m[6] ? +m[6] : 0) - offset * 60000);
+            return { ...utcToZonedParts(instant, timeZone), hasTime: true, yearInferred: false };
+        }
+        return { ...parts, hasTime: parts.hour !== null, yearInferred: false };
+    }
+
+    // US numeric: 11/28/2025, 11/28/25, 11/28
+    m = s.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+    if (m) {
+        const month = +m[1];
+        const day = +m[2];
+        let year = m[3] ? +m[3] : null;
+        if (year !== null && year < 100) year += 2000;
+        const yearInferred = year === null;
+        if (yearInferred) year = inferYear(month, day, null, reference, timeZone);
+        if (year && isValidDay(year, month, day)) return { year, month, day, yearInferred };
+    }
+
+    const weekdayMatch = s.match(/\b(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)[a-z]*\.?\b/i);
+    const weekday = weekdayMatch ? weekdayFromName(weekdayMatch[1]) : null;
+    const monthNames = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+    // "November 28, 2025", "Friday, Nov 28", "Nov. 28th"
+    m = s.match(new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'));
+    if (!m) {
+        // "28 November 2025", "28 Nov"
+        const alt = s.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${monthNames})\\.?(?:,?\\s+(\\d{4}))?\\b`, 'i'));
+        if (alt) m = [alt[0], alt[2], alt[1], alt[3]];
+    }
+    if (m) {
+        const month = monthFromName(m[1]);
+        const day = +m[2];
+        let year = m[3] ? +m[3] : null;
+        const yearInferred = year === null;
+        if (yearInferred) year = inferYear(month, day, weekday, reference, timeZone);
+        if (year && isValidDay(year, month, day)) return { year, month, day, yearInferred };
+    }
+
+    return null;
+};
+
+// ------------------------------------------------------------------------
+// normalizeEventDate(raw, { scrapedAt, timeZone, timeText })
+// Returns:
+//   eventStartISO  - local start as ISO 8601 with offset (midnight when only
+//                    the date is known; a time skipped by a spring-forward
+//                    switch moves forward past the gap, and showTime or
+//                    doorsTime move with it), or null
+//   eventDate      - local YYYY-MM-DD, or null
+//   doorsTime      - local HH:MM, or null
+//   showTime       - local HH:MM, or null
+//   dateConfidence - 'exact'        date and start time were both present
+//                    'dateOnly'     full date, no start time
+//                    'yearInferred' month/day only, year guessed from scrapedAt
+//                    'unparsed'     raw value present but not understood
+//                    null           no raw value at all
+// ------------------------------------------------------------------------
+export const normalizeEventDate = (raw, { scrapedAt, timeZone = DEFAULT_TIME_ZONE, timeText = null } = {}) => {
+    const empty = { eventStartISO: null, eventDate: null, doorsTime: null, showTime: null, dateConfidence: null };
+    const rawText = raw === null || raw === undefined ? '' : String(raw).trim();
+    const extraText = timeText ? String(timeText) : '';
+    if (!rawText && !extraText) return empty;
+
+    const reference = scrapedAt ? new Date(scrapedAt) : new Date();
+    const parts = rawText ? parseDateParts(rawText, reference, timeZone) : null;
+
+    const labelled = extractLabelledTimes(`${rawText} ${extraText}`);
+    let { doorsTime } = labelled;
+    let { showTime } = labelled;
+
+    if (!parts) {
+        return { ...empty, doorsTime, showTime, dateConfidence: rawText ? 'unparsed' : null };
+    }
+
+    let hour = parts.hasTime ? parts.hour : null;
+    let minute = parts.hasTime ? parts.minute : null;
+    if (hour === null) {
+        // No time in the date string itself; fall back to labelled or bare times.
+        const fallback = showTime || doorsTime || parseClockTime(extraText) || parseClockTime(rawText.replace(/^\d{4}-\d{2}-\d{2}/, ''));
+        if (fallback) [hour, minute] = fallback.split(':').map(Number);
+    }
+
+    const hasTime = hour !== null;
+    // A start time in the date itself is the show time unless it is the
+    // doors time from the page's "Doors 6:30 PM" line.
+    const startTime = hasTime ? `${pad(hour)}:${pad(minute)}` : null;
+    if (startTime && !showTime && (parts.hasTime ? startTime !== doorsTime : !doorsTime)) showTime = startTime;
+
+    const { date } = zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day, hour: hour || 0, minute: minute || 0 }, timeZone);
+    const start = utcToZonedParts(date, timeZone);
+    const eventDate = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    const eventStartISO = `${start.year}-${pad(start.month)}-${pad(start.day)}T${pad(start.hour)}:${pad(start.minute)}:00${formatOffset(start.offset)}`;
+
+    // 02:30 on a spring-forward night is 03:30; the times must say the same.
+    const localStart = `${pad(start.hour)}:${pad(start.minute)}`;
+    if (startTime && localStart !== startTime) {
+        if (showTime === startTime) showTime = localStart;
+        if (doorsTime === startTime) doorsTime = localStart;
+    }
+
+    let dateConfidence = 'dateOnly';
+    if (parts.yearInferred) dateConfidence = 'yearInferred';
+    else if (hasTime) dateConfidence = 'exact';
+
+    return { eventStartISO, eventDate, doorsTime, showTime, dateConfidence };
+};
@@ -0,0 +1,116 @@
+// ------------------------------------------------------------------------
+// Event types
+// Calendars list more than concerts: themed dance parties ("Taylor Rave"),
+// trivia, comedy, markets and private bookings all arrive as "headliners".
+// classifyEvent() tags every show with
+//   eventType - concert | djNight | comedy | trivia | market | private | other
+//   isTribute - a tribute or cover act playing another artist's music
+// from its categories, title, JSON-LD @type and description, in that order
+// of trust. Shows nothing speaks against are concerts.
+// ------------------------------------------------------------------------
+
+export const EVENT_TYPES = ['concert', 'djNight', 'comedy', 'trivia', 'market', 'private', 'other'];
+
+// Each rule has three patterns, from loosest to strictest:
+//   category - calendar categories, curated labels where a bare "Comedy" or
+//              "Markets" settles it
+//   title    - show titles (or the headliner when a calendar has no title).
+//              Phrases only: a bare keyword is also an act name ("Black
+//              Market Karma", "Bingo Players", "Yoga Lin", "Rave On").
+//   text     - descriptions, where a concert blurb may well mention "DJs
+//              between sets" or "the market next door"
+const RULES = [
+    {
+        type: 'private',
+        category: /\bprivate\b/i,
+        title: /\bprivate\s+(?:event|party|function|booking|rental)\b|\bclosed\s+(?:for|to the public)\b|\bbuy[\s-]?out\b/i,
+        text: /\b(?:closed|reserved)\s+for\s+(?:a\s+)?private\s+(?:event|party|function)\b|\bthis is a private (?:event|party)\b/i,
+    },
+    {
+        type: 'comedy',
+        category: /\bcomedy\b|\bcomedians?\b|\bstand[\s-]?up\b|\bimprov\b/i,
+        title: /\bcomedy (?:show|night|showcase|special|open mic|hour)\b|\bstand[\s-]?up comed(?:y|ians?)\b|\bimprov (?:show|night|comedy)\b|\bthe roast of\b/i,
+        text: /\bstand[\s-]?up comed(?:y|ian)\b|\bcomedy (?:show|night|showcase)\b/i,
+    },
+    {
+        type: 'trivia',
+        category: /\btrivia\b|\bquiz(?:zo)?\b|\bbingo\b|\bgame night\b/i,
+        title: /\btrivia (?:night|contest|competition)\b|\btrivia$|\bpub quiz\b|\bquizzo\b|\b(?:music|drag|rock|boozy) bingo\b|\bbingo night\b|\bgame night\b/i,
+        text: /\btrivia night\b|\bpub quiz\b|\bmusic bingo\b/i,
+    },
+    {
+        type: 'market',
+        category: /\bmarkets?\b|\bbazaar\b|\bmakers? fair\b|\bcraft fair\b|\bpop[\s-]?up shop\b|\bvendor fair\b/i,
+        title: /\b(?:flea|makers?'?|artisan|vintage|holiday|craft|night|farmers'?|art) market\b|\b(?:holiday|craft|art) bazaar\b|\b(?:makers?|craft|vendor) fair\b|\bpop[\s-]?up (?:shop|market)\b/i,
+        text: /\b(?:makers?|artisan|vintage|holiday|flea) market\b|\bcraft fair\b/i,
+    },
+    {
+        type: 'djNight',
+        category: /\bdjs?\b|\bdance part(?:y|ies)\b|\brave\b|\bclub night\b/i,
+        title: /\bdj set\b|\bdjs all night\b|\bdance part(?:y|ies)\b|\b(?:taylor|swiftie|emo|disco|pop|y2k|2000s|90s|80s|reggaeton|k-?pop) rave\b|\b(?:emo|disco|goth|80s|90s|2000s|y2k|reggaeton|cumbia|latin|k-?pop|swiftie) night\b|\bdance night\b|\bclub night\b/i,
+        text: /\b(?:themed )?dance party\b|\ball[\s-]night dance\b|\bdjs? spinning all night\b/i,
+    },
+    {
+        type: 'other',
+        category: /\bkaraoke\b|\bscreenings?\b|\bwatch part(?:y|ies)\b|\bmovies?\b|\bfilms?\b|\bdrag\b|\bburlesque\b|\bwrestling\b|\bworkshops?\b|\byoga\b|\bpoetry\b|\bbooks?\b/i,
+        title: /\bkaraoke(?: night| party)?$|\bkaraoke night\b|\b(?:film|movie) screening\b|\bscreening of\b|\bwatch party\b|\bmovie night\b|\bdrag (?:show|brunch|bingo)\b|\bburlesque (?:show|revue)\b|\b(?:pro|live) wrestling\b|\blucha libre\b|\b(?:songwriting|writing|art|craft|dance|drum) workshop\b|\byoga (?:class|session|flow)\b|\b(?:goat|beer|sunset|morning) yoga\b|\bpoetry (?:slam|reading|night)\b|\bbook (?:signing|club)\b/i,
+        text: /\bfilm screening\b|\bwatch party\b|\bdrag show\b|\bburlesque (?:show|revue)\b|\bwrestling (?:show|event)\b/i,
+    },
+];
+
+// schema.org Event subtypes (src/jsonld.js `jsonLdType`).
+const JSON_LD_TYPES = {
+    MusicEvent: 'concert',
+    Festival: 'concert',
+    ComedyEvent: 'comedy',
+    DanceEvent: 'djNight',
+    SaleEvent: 'market',
+    ScreeningEvent: 'other',
+    TheaterEvent: 'other',
+    SportsEvent: 'other',
+    LiteraryEvent: 'other',
+    FoodEvent: 'other',
+    EducationEvent: 'other',
+};
+
+// Categories that settle it as music ("Live Music", "Concerts"), unless a
+// rule claims the same category ("Comedy Shows").
+const MUSIC_CATEGORY = /\b(?:live music|music|concerts?|shows?|bands?)\b/i;
+
+const TRIBUTE = /\btribute\b|\bsalute to\b|\b(?:plays?|playing|performs?|performing|celebrat\w*) the (?:music|songs|hits) of\b|\bcovers? band\b|\bin (?:its|their) entirety\b/i;
+
+const typeOf = (text, key) => {
+    if (!text) return null;
+    const rule = RULES.find((r) => r[key].test(text));
+    return rule ? rule.type : null;
+};
+
+// "https://…/event/power-trip-tribute/" -> "power trip tribute"
+const slugOf = (url) => {
+    try {
+        return decodeURIComponent(new URL(url).pathname).replace(/[-_/]+/g, ' ').trim();
+    } catch (e) {
+        return '';
+    }
+};
+
+// Returns { eventType, isTribute }.
+export const classifyEvent = ({ title, description, categories, jsonLdType, sourceUrl } = {}) => {
+    const cats = (categories || []).map((c) => String(c || '').trim()).filter(Boolean);
+    const isTribute = [title, description, slugOf(sourceUrl)].some((t) => t && TRIBUTE.test(t));
+
+    // A music category beats everything else; "Live Music" + "Happy Hour"
+    // or a title that merely sounds like a theme night is still a concert.
+    const catTypes = cats.map((c) => typeOf(c, 'category'));
+    if (cats.some((c, i) => !catTypes[i] && MUSIC_CATEGORY.test(c))) return { eventType: 'concert', isTribute };
+    const fromCategory = catTypes.find(Boolean);
+    if (fromCategory) return { eventType: fromCategory, isTribute };
+
+    const fromTitle = typeOf(title, 'title');
+    if (fromTitle) return { eventType: fromTitle, isTribute };
+
+    const fromJsonLd = JSON_LD_TYPES[jsonLdType] || null;
+    if (fromJsonLd) return { eventType: fromJsonLd, isTribute };
+
+    return { eventType: typeOf(description, 'text') || 'concert', isTribute };
+};
@@ -0,0 +1,86 @@
+import { createHash } from 'node:crypto';
+
+import { ticketVendorOf } from './offers.js';
+
+// ------------------------------------------------------------------------
+// Event records
+// One record per show, pushed to the "events" dataset next to the
+// per-artist rows. Artist rows point back to their show via eventId.
+// ------------------------------------------------------------------------
+
+export const EVENTS_DATASET_NAME = 'events';
+
+// Ticketmaster, Etix, DICE, Eventbrite, Prekindle, ... (src/offers.js)
+export const isTicketVendorUrl = (url) => Boolean(ticketVendorOf(url));
+
+const keyPart = (s) => String(s || '').toLowerCase().normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+// Stable across runs: the same venue, date and headliner always hash to the
+// same id. Shows without a parsed date fall back to their source URL so that
+// undated detail pages do not collapse into each other.
+export const buildEventId = ({ venueId, eventDate, headliner, sourceUrl }) => {
+    const when = eventDate || `url:${sourceUrl || ''}`;
+    const key = [keyPart(venueId), when, keyPart(headliner)].join('|');
+    return createHash('sha1').update(key).digest('hex').slice(0, 16);
+};
+
+// Identity of an artist row within the whole run: the same act in the same
+// role at the same venue on the same day is one row, no matter which request
+// (or which fallback path of a parser) produced it, or how it was spelled.
+export const buildRowDedupeKey = (row) => {
+    const when = row.eventDate || `url:${row.sourceUrl || ''}`;
+    return [keyPart(row.venueId), when, row.artistId || keyPart(row.artistName), row.role || ''].join('|');
+};
+
+// lineup: [{ artistName, role, artistId? }] in billing order (headliner first)
+export const buildEventRecord = ({
+    base,
+    lineup,
+    title = null,
+    ticketUrl = null,
+    eventStatus = null,
+    ageRestriction = null,
+    offers = null,
+    location = null,
+    room = null,
+    description = null,
+    image = null,
+    categories = null,
+}) => {
+    const headliner = lineup.find((a) => a.role === 'headliner') || lineup[0] || null;
+    const eventId = buildEventId({
+        venueId: base.venueId,
+        eventDate: base.eventDate,
+        headliner: headliner ? headliner.artistName : title,
+        sourceUrl: base.sourceUrl,
+    });
+
+    return {
+        eventId,
+        venueId: base.venueId,
+        venueParserId: base.venueParserId,
+        title: title || (headliner ? headliner.artistName : null),
+        eventDateRaw: base.eventDateRaw,
+        eventStartISO: base.eventStartISO,
+        eventDate: base.eventDate,
+        doorsTime: base.doorsTime,
+        showTime: base.showTime,
+        dateConfidence: base.dateConfidence,
+        eventType: base.eventType || 'concert',
+        isTribute: Boolean(base.isTribute),
+        lineup: lineup.map((a, i) => ({ order: i + 1, role: a.role, artistName: a.artistName, artistId: a.artistId || null })),
+        eventStatus,
+        ageRestriction,
+        offers,
+        location,
+        room,
+        description,
+        image,
+        categories,
+        sourceUrl: base.sourceUrl,
+        ticketUrl: ticketUrl || (isTicketVendorUrl(base.sourceUrl) ? base.sourceUrl : null),
+        scrapedAt: base.scrapedAt,
+        extractionLevel: base.extractionLevel || null,
+        failureReason: base.failureReason || null,
+    };
+};
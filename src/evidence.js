@@ -0,0 +1,114 @@
+import { Actor } from 'apify';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// ------------------------------------------------------------------------
+// Failure evidence
+// When a browser request fails for good, or its parser finds nothing, the
+// page is saved into the default key-value store:
+//   EVIDENCE-<venueId>-<requestId>.png    full-page screenshot
+//   EVIDENCE-<venueId>-<requestId>.html   rendered HTML
+//   EVIDENCE-<venueId>-<requestId>.zip    Playwright trace ("trace" mode)
+// and a row pointing at those records goes to the named dataset "failures":
+//   { venueId, parserId, url, requestId, kind: 'failed' | 'empty', error,
+//     retryCount, screenshotKey, htmlKey, traceKey, <key>Url, failedAt }
+// Rows are written in every mode but "off"; the mode only picks what is
+// captured with them.
+// ------------------------------------------------------------------------
+
+export const FAILURES_DATASET_NAME = 'failures';
+
+// off:        nothing is recorded
+// html:       rendered HTML only
+// screenshot: screenshot and HTML
+// trace:      screenshot, HTML and a Playwright trace of the last attempt
+export const EVIDENCE_MODES = ['off', 'html', 'screenshot', 'trace'];
+
+// Key-value store keys only allow a-zA-Z0-9!-_.'()
+export const evidenceKey = (venueId, requestId, extension) => `EVIDENCE-${String(venueId)}-${String(requestId)}`
+    .replace(/[^a-zA-Z0-9!\-_.'()]/g, '_')
+    .slice(0, 240) + `.${extension}`;
+
+// Requests restored from a queue have an id; others fall back to a hash.
+const requestIdOf = (request) => request.id || createHash('sha1').update(request.uniqueKey || request.url).digest('hex').slice(0, 15);
+
+const firstLine = (error) => (error ? String(error.message || error).split('\n')[0] : null);
+
+// Traces are written to a file by Playwright; the store gets its bytes.
+const stopTrace = async (page) => {
+    const file = path.join(os.tmpdir(), `trace-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.zip`);
+    try {
+        await page.context().tracing.stop({ path: file });
+        return await fs.readFile(file);
+    } finally {
+        await fs.rm(file, { force: true });
+    }
+};
+
+export const createEvidenceRecorder = ({ mode = 'screenshot', log } = {}) => {
+    if (!EVIDENCE_MODES.includes(mode)) throw new Error(`Unknown failureEvidence mode "${mode}". Use one of: ${EVIDENCE_MODES.join(', ')}.`);
+    const enabled = mode !== 'off';
+    const tracing = mode === 'trace';
+    let store = null;
+    let dataset = null;
+
+    // Tracing records per browser context, so the crawler gives every page
+    // a context of its own in "trace" mode (useIncognitoPages).
+    const startTracing = async (page) => {
+        if (!tracing) return;
+        await page.context().tracing.start({ screenshots: true, snapshots: true }).catch((e) => {
+            log.debug(`Could not start a trace: ${e.message}`);
+        });
+    };
+
+    // Saves what the page shows now and pushes the failures row.
+    // page may be missing or closed (e.g. the browser crashed).
+    const record = async ({ page, request, venueId, parserId, kind, error }) => {
+        if (!enabled) return null;
+        store = store || (await Actor.openKeyValueStore());
+        dataset = dataset || (await Actor.openDataset(FAILURES_DATASET_NAME));
+
+        const requestId = requestIdOf(request);
+        const keys = { screenshotKey: null, htmlKey: null, traceKey: null };
+        const save = async (field, extension, produce, contentType) => {
+            try {
+                const value = await produce();
+                if (!value) return;
+                const key = evidenceKey(venueId, requestId, extension);
+                await store.setValue(key, value, { contentType });
+                keys[field] = key;
+            } catch (e) {
+                log.debug(`Could not save ${extension} evidence for ${request.url}: ${e.message}`);
+            }
+        };
+
+        if (page && !page.isClosed()) {
+            if (mode !== 'html') await save('screenshotKey', 'png', () => page.screenshot({ fullPage: true, timeout: 15000 }), 'image/png');
+            await save('htmlKey', 'html', () => page.content(), 'text/html; charset=utf-8');
+            if (tracing) await save('traceKey', 'zip', () => stopTrace(page), 'application/zip');
+        }
+
+        const urlOf = (key) => (key ? store.getPublicUrl(key) : null);
+        const row = {
+            venueId: venueId || null,
+            parserId: parserId || null,
+            url: request.url,
+            requestId,
+            kind,
+            error: firstLine(error),
+            retryCount: request.retryCount || 0,
+            ...keys,
+            screenshotUrl: urlOf(keys.screenshotKey),
+            htmlUrl: urlOf(keys.htmlKey),
+            traceUrl: urlOf(keys.traceKey),
+            failedAt: new Date().toISOString(),
+        };
+        await dataset.pushData(row);
+        log.info(`Saved failure evidence for ${request.url} (${Object.values(keys).filter(Boolean).join(', ') || 'no page'}).`);
+        return row;
+    };
+
+    return { tracing, startTracing, record };
+};
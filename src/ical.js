@@ -0,0 +1,188 @@
+import { Actor } from 'apify';
+
+// ------------------------------------------------------------------------
+// iCalendar export
+// Writes the shows of a run as RFC 5545 feeds into a named key-value store,
+// one per venue and one combined:
+//   CALENDAR-<venueId>.ics, CALENDAR.ics   in the "calendars" store
+// UIDs derive from the stable eventId, so calendar clients subscribed to a
+// feed update a show in place instead of adding it twice. A named store
+// keeps the record URLs the same from run to run.
+// ------------------------------------------------------------------------
+
+export const CALENDAR_STORE_NAME = 'calendars';
+export const COMBINED_CALENDAR_KEY = 'CALENDAR.ics';
+
+const UID_DOMAIN = 'austin-venues-scraper';
+const PRODID = '-//austin-venues-scraper//Austin venue shows//EN';
+
+// Clients need an end; listings only publish the start.
+const TIMED_EVENT_DURATION = 'PT3H';
+
+const STATUS_BY_EVENT_STATUS = {
+    cancelled: 'CANCELLED',
+    postponed: 'TENTATIVE',
+    rescheduled: 'TENTATIVE',
+};
+
+export const calendarKey = (venueId) => `CALENDAR-${String(venueId)}.ics`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+
+// TEXT values escape backslash, comma, semicolon and newlines.
+const escapeText = (s) => String(s)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets, never inside a UTF-8 sequence.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch);
+        const limit = parts.length ? 74 : 75; // continuation lines start with a space
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const summaryOf = (event) => {
+    const names = (event.lineup || []).map((a) => a.artistName).filter(Boolean);
+    if (!names.length) return event.title || 'Show';
+    const [headliner, ...supports] = names;
+    return supports.length ? `${headliner} with ${supports.join(', ')}` : headliner;
+};
+
+const locationOf = (event, venueName) => {
+    const loc = event.location || {};
+    let name = loc.name || venueName || event.venueId;
+    if (event.room && !name.includes(event.room)) name = `${name} (${event.room})`;
+    return loc.address && !String(loc.address).includes(name) ? `${name}, ${loc.address}` : name;
+};
+
+const descriptionOf = (event) => {
+    const lines = [];
+    const supports = (event.lineup || []).filter((a) => a.role !== 'headliner').map((a) => a.artistName);
+    if (supports.length) lines.push(`With ${supports.join(', ')}`);
+    if (event.doorsTime) lines.push(`Doors ${event.doorsTime}`);
+    if (event.showTime) lines.push(`Show ${event.showTime}`);
+    if (event.ageRestriction) lines.push(event.ageRestriction);
+    if (event.ticketUrl) lines.push(`Tickets: ${event.ticketUrl}`);
+    return lines.join('\n');
+};
+
+// Returns the VEVENT lines of one show, or null when it has no date.
+const eventLines = (event, { venueName, dtstamp }) => {
+    if (!event.eventDate) return null;
+
+    const lines = ['BEGIN:VEVENT', `UID:${event.eventId}@${UID_DOMAIN}`, `DTSTAMP:${dtstamp}`];
+    const start = event.eventStartISO ? new Date(event.eventStartISO) : null;
+    if ((event.showTime || event.doorsTime) && start && !Number.isNaN(start.getTime())) {
+        lines.push(`DTSTART:${toUtcStamp(start)}`, `DURATION:${TIMED_EVENT_DURATION}`);
+    } else {
+        // A date without a time is an all-day entry.
+        lines.push(`DTSTART;VALUE=DATE:${event.eventDate.replace(/-/g, '')}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(summaryOf(event))}`);
+    lines.push(`LOCATION:${escapeText(locationOf(event, venueName))}`);
+    const description = descriptionOf(event);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (event.sourceUrl) lines.push(`URL:${event.sourceUrl}`);
+    lines.push(`STATUS:${STATUS_BY_EVENT_STATUS[event.eventStatus] || 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// Unfolded VEVENT lines of a stored feed, so the shows of a venue whose
+// crawl failed can be carried into the combined feed unchanged.
+const storedEventLines = (ics) => {
+    const kept = [];
+    let inside = false;
+    for (const line of String(ics).replace(/\r\n[ \t]/g, '').split('\r\n')) {
+        if (line === 'BEGIN:VEVENT') inside = true;
+        if (inside) kept.push(line);
+        if (line === 'END:VEVENT') inside = false;
+    }
+    return kept;
+};
+
+// events:     event records (see src/events.js)
+// venueNames: { [venueId]: display name } for LOCATION
+// keptLines:  VEVENT lines taken over from a stored feed
+export const buildCalendar = (events, { name, venueNames = {}, timeZone, keptLines = [], now = new Date() } = {}) => {
+    const dtstamp = toUtcStamp(now);
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+    const sorted = [...events].sort((a, b) => String(a.eventStartISO || a.eventDate).localeCompare(String(b.eventStartISO || b.eventDate)));
+    for (const event of sorted) {
+        const vevent = eventLines(event, { venueName: venueNames[event.venueId], dtstamp });
+        if (vevent) lines.push(...vevent);
+    }
+    lines.push(...keptLines);
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Stores one feed per venue crawled this run (venueIds, plus any venue with
+// events) and the combined feed, all from the same events: a crawled venue
+// without shows gets an empty feed rather than keeping a stale one that the
+// combined feed no longer matches. Venues in failedVenueIds had requests fail,
+// so their events are incomplete: their stored feed is kept as it is and its
+// shows go into the combined feed instead of this run's.
+export const saveCalendars = async ({
+    events,
+    venues,
+    venueIds = [],
+    failedVenueIds = [],
+    storeName = CALENDAR_STORE_NAME,
+    timeZone,
+    log,
+}) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const venueNames = {};
+    for (const v of venues) venueNames[v.id] = v.name;
+
+    // A failed venue without a stored feed yet gets one from what this run found.
+    const keptVenueIds = new Set();
+    const keptLines = [];
+    for (const venueId of new Set(failedVenueIds)) {
+        const previous = await store.getValue(calendarKey(venueId));
+        if (previous === null) continue;
+        keptVenueIds.add(venueId);
+        keptLines.push(...storedEventLines(previous));
+    }
+
+    const currentEvents = events.filter((ev) => !keptVenueIds.has(ev.venueId));
+    const byVenue = new Map(venueIds.filter((id) => !keptVenueIds.has(id)).map((id) => [id, []]));
+    for (const ev of currentEvents) {
+        if (!byVenue.has(ev.venueId)) byVenue.set(ev.venueId, []);
+        byVenue.get(ev.venueId).push(ev);
+    }
+
+    const options = { contentType: 'text/calendar; charset=utf-8' };
+    for (const [venueId, venueEvents] of byVenue) {
+        const ics = buildCalendar(venueEvents, { name: venueNames[venueId] || venueId, venueNames, timeZone });
+        await store.setValue(calendarKey(venueId), ics, options);
+    }
+    const combined = buildCalendar(currentEvents, { name: 'Austin venue shows', venueNames, timeZone, keptLines });
+    await store.setValue(COMBINED_CALENDAR_KEY, combined, options);
+
+    const emptyVenues = Array.from(byVenue).filter(([, venueEvents]) => !venueEvents.length).map(([venueId]) => venueId);
+    log.info(`Exported ${currentEvents.length} show(s) as iCalendar feeds for ${byVenue.size} venue(s) into "${storeName}".`);
+    if (emptyVenues.length) log.info(`Calendar feeds without shows this run: ${emptyVenues.join(', ')}.`);
+    if (keptVenueIds.size) log.warning(`Kept the previous calendar feeds of venues with failed requests: ${[...keptVenueIds].join(', ')}.`);
+};
@@ -0,0 +1,284 @@
+// ------------------------------------------------------------------------
+// schema.org JSON-LD event extraction
+// Shared by every parser that wants to try structured data before falling
+// back to DOM scraping. Handles Event subtypes (MusicEvent, ComedyEvent,
+// Festival, ...), @graph containers and nested arrays.
+// ------------------------------------------------------------------------
+
+const EVENT_TYPE_PATTERN = /(Event|Festival)$/;
+
+const STATUS_MAP = {
+    eventscheduled: 'scheduled',
+    eventcancelled: 'cancelled',
+    eventcanceled: 'cancelled',
+    eventpostponed: 'postponed',
+    eventrescheduled: 'rescheduled',
+    eventmovedonline: 'movedOnline',
+};
+
+// Higher wins when offers disagree: one sold-out tier does not make the
+// whole show sold out.
+const AVAILABILITY_RANK = { unavailable: 0, soldOut: 1, presale: 2, limited: 3, available: 4 };
+
+const AVAILABILITY_MAP = {
+    instock: 'available',
+    onlineonly: 'available',
+    limitedavailability: 'limited',
+    preorder: 'presale',
+    presale: 'presale',
+    soldout: 'soldOut',
+    outofstock: 'soldOut',
+    discontinued: 'unavailable',
+};
+
+const asArray = (v) => {
+    if (v === null || v === undefined) return [];
+    return Array.isArray(v) ? v : [v];
+};
+
+const typesOf = (obj) => asArray(obj['@type']).map((t) => String(t).replace(/^https?:\/\/schema\.org\//, ''));
+
+const isEventObject = (obj) => typesOf(obj).some((t) => EVENT_TYPE_PATTERN.test(t));
+
+// "https://schema.org/EventCancelled" -> "eventcancelled"
+const enumKey = (v) => (v ? String(v).replace(/^https?:\/\/schema\.org\//i, '').toLowerCase() : null);
+
+const text = (v) => {
+    if (v === null || v === undefined) return null;
+    if (typeof v === 'object') return text(v.name || v['@value'] || null);
+    const s = String(v).replace(/\s+/g, ' ').trim();
+    return s || null;
+};
+
+const absoluteUrl = (url, baseUrl) => {
+    const s = text(url);
+    if (!s) return null;
+    try {
+        return new URL(s, baseUrl || undefined).href;
+    } catch (e) {
+        return null;
+    }
+};
+
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const PRICE_RANGE = new RegExp(`(${NUMBER})(?:\\s*(?:-|\u2013|\u2014|to)\\s*\\$?\\s*(${NUMBER}))?`, 'i');
+
+// Prices in an offer value: 25 or "$25.00" -> [25], "25.00 - 30.00" ->
+// [25, 30], "$1,250" -> [1250]. Only the first number or range is read.
+const toPrices = (v) => {
+    if (typeof v === 'number') return Number.isFinite(v) ? [v] : [];
+    if (v === null || v === undefined) return [];
+    const m = String(v).match(PRICE_RANGE);
+    if (!m) return [];
+    return [m[1], m[2]].filter(Boolean).map((n) => parseFloat(n.replace(/,/g, '')));
+};
+
+// Collapses offers / AggregateOffer into one summary.
+const summarizeOffers = (offers, baseUrl) => {
+    const list = asArray(offers).filter((o) => o && typeof o === 'object');
+    if (!list.length) return null;
+
+    const prices = [];
+    let currency = null;
+    let availability = null;
+    let url = null;
+    let validFrom = null;
+
+    for (const o of list) {
+        for (const p of [o.price, o.lowPrice, o.highPrice]) prices.push(...toPrices(p));
+        currency = currency || text(o.priceCurrency);
+        const a = AVAILABILITY_MAP[enumKey(o.availability)] || null;
+        if (a && (!availability || AVAILABILITY_RANK[a] > AVAILABILITY_RANK[availability])) availability = a;
+        url = url || absoluteUrl(o.url, baseUrl);
+        validFrom = validFrom || text(o.validFrom || o.availabilityStarts);
+    }
+
+    return {
+        priceMin: prices.length ? Math.min(...prices) : null,
+        priceMax: prices.length ? Math.max(...prices) : null,
+        currency,
+        availability,
+        url,
+        validFrom,
+    };
+};
+
+const summarizeLocation = (location) => {
+    const loc = asArray(location).find((l) => l && typeof l === 'object') || null;
+    if (!loc) return text(location) ? { name: text(location), address: null } : null;
+    const addr = loc.address;
+    let address = null;
+    if (addr && typeof addr === 'object') {
+        address = [addr.streetAddress, addr.addressLocality, addr.addressRegion, addr.postalCode]
+            .map(text)
+            .filter(Boolean)
+            .join(', ') || null;
+    } else {
+        address = text(addr);
+    }
+    return { name: text(loc.name), address };
+};
+
+const ageFromEvent = (obj) => {
+    const raw = text(obj.typicalAgeRange) || text(obj.audience && obj.audience.suggestedMinAge);
+    if (!raw) return null;
+    if (/^\d+$/.test(raw)) return `${raw}+`;
+    if (/^\d+-$/.test(raw)) return `${raw.slice(0, -1)}+`;
+    return raw;
+};
+
+const toItem = (obj, baseUrl) => {
+    const title = text(obj.name);
+    const performers = asArray(obj.performer)
+        .map((p) => text(p))
+        .filter(Boolean);
+    const uniquePerformers = Array.from(new Set(performers));
+
+    const offers = summarizeOffers(obj.offers, baseUrl);
+    const types = typesOf(obj);
+
+    return {
+        title,
+        headliner: uniquePerformers[0] || title,
+        supportingActs: uniquePerformers.slice(1),
+        eventDateRaw: text(obj.startDate) || text(obj.date),
+        endDateRaw: text(obj.endDate),
+        doorTime: text(obj.doorTime),
+        sourceUrl: absoluteUrl(obj.url || obj.sameAs, baseUrl),
+        ticketUrl: offers ? offers.url : null,
+        offers,
+        eventStatus: STATUS_MAP[enumKey(obj.eventStatus)] || null,
+        ageRestriction: ageFromEvent(obj),
+        location: summarizeLocation(obj.location),
+        description: text(obj.description),
+        image: absoluteUrl(asArray(obj.image)[0] && (asArray(obj.image)[0].url || asArray(obj.image)[0]), baseUrl),
+        jsonLdType: types.find((t) => EVENT_TYPE_PATTERN.test(t)) || null,
+    };
+};
+
+// blocks: JSON strings (script contents) or already-parsed objects.
+// Returns parser items in document order, deduplicated by name/date/url.
+export const extractJsonLdEvents = (blocks, { baseUrl } = {}) => {
+    const items = [];
+    const seen = new Set();
+
+    const visit = (obj) => {
+        if (!obj || typeof obj !== 'object') return;
+        if (Array.isArray(obj)) {
+            obj.forEach(visit);
+            return;
+        }
+
+        if (isEventObject(obj) && obj.name) {
+            const item = toItem(obj, baseUrl);
+            const key = `${(item.title || '').toLowerCase()}|${item.sourceUrl || ''}|${item.eventDateRaw || ''}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                items.push(item);
+            }
+        }
+
+        if (obj['@graph']) visit(obj['@graph']);
+        if (obj.subEvent) visit(obj.subEvent);
+        if (obj.itemListElement) visit(asArray(obj.itemListElement).map((el) => (el && el.item) || el));
+    };
+
+    for (const block of blocks || []) {
+        if (typeof block === 'string') {
+            try {
+                visit(JSON.parse(block));
+            } catch (e) {
+                // ignore malformed JSON-LD
+            }
+        } else {
+            visit(block);
+        }
+    }
+
+    return items;
+};
+
+// Reads every JSON-LD script on a Playwright page and extracts its events.
+export const readJsonLdEvents = async (page, { baseUrl } = {}) => {
+    const blocks = await page
+        .$$eval('script[type="application/ld+json"]', (scripts) => scripts.map((s) => s.textContent || ''))
+        .catch(() => []);
+    return extractJsonLdEvents(blocks, { baseUrl: baseUrl || page.url() });
+};
+
+// Same for a Cheerio document (parsers with `browser: false`).
+export const readJsonLdEventsFromHtml = ($, { baseUrl } = {}) => {
+    const blocks = $('script[type="application/ld+json"]').toArray().map((s) => $(s).text());
+    return extractJsonLdEvents(blocks, { baseUrl });
+};
+
+// ------------------------------------------------------------------------
+// Event record -> schema.org MusicEvent (the reverse direction, used by the
+// query server in src/server.js).
+// ------------------------------------------------------------------------
+
+const STATUS_URLS = {
+    scheduled: 'https://schema.org/EventScheduled',
+    cancelled: 'https://schema.org/EventCancelled',
+    postponed: 'https://schema.org/EventPostponed',
+    rescheduled: 'https://schema.org/EventRescheduled',
+    movedOnline: 'https://schema.org/EventMovedOnline',
+};
+
+const AVAILABILITY_URLS = {
+    available: 'https://schema.org/InStock',
+    limited: 'https://schema.org/LimitedAvailability',
+    presale: 'https://schema.org/PreSale',
+    soldOut: 'https://schema.org/SoldOut',
+    unavailable: 'https://schema.org/Discontinued',
+};
+
+// "2025-11-28T20:00:00-06:00" -> "-06:00"
+const utcOffsetOf = (iso) => {
+    const m = String(iso || '').match(/([+-]\d{2}:\d{2}|Z)$/);
+    return m ? m[1] : '';
+};
+
+const withoutEmpty = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && !(Array.isArray(v) && !v.length)));
+
+// event:     record from the "events" dataset (src/events.js)
+// venueName: display name used when the record has no location
+export const eventToMusicEvent = (event, { venueName } = {}) => {
+    const loc = event.location || {};
+    const offers = event.offers || {};
+    const hasOffer = event.ticketUrl || offers.priceMin != null || offers.availability;
+    // lowPrice/highPrice only exist on AggregateOffer; one price is an Offer.
+    const isPriceRange = offers.priceMin != null && offers.priceMax != null && offers.priceMin !== offers.priceMax;
+
+    return withoutEmpty({
+        '@context': 'https://schema.org',
+        '@type': 'MusicEvent',
+        identifier: event.eventId,
+        name: event.title,
+        startDate: event.showTime || event.doorsTime ? event.eventStartISO : event.eventDate,
+        doorTime: event.doorsTime && event.eventDate ? `${event.eventDate}T${event.doorsTime}:00${utcOffsetOf(event.eventStartISO)}` : null,
+        eventStatus: STATUS_URLS[event.eventStatus] || STATUS_URLS.scheduled,
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+        location: withoutEmpty({
+            '@type': 'MusicVenue',
+            identifier: event.venueId,
+            name: loc.name || venueName || event.venueId,
+            address: loc.address || null,
+        }),
+        performer: (event.lineup || []).map((a) => withoutEmpty({ '@type': 'MusicGroup', name: a.artistName, identifier: a.artistId || null })),
+        offers: hasOffer ? withoutEmpty({
+            '@type': isPriceRange ? 'AggregateOffer' : 'Offer',
+            url: offers.url || event.ticketUrl || null,
+            price: isPriceRange ? null : offers.priceMin ?? offers.priceMax,
+            lowPrice: isPriceRange ? offers.priceMin : null,
+            highPrice: isPriceRange ? offers.priceMax : null,
+            priceCurrency: offers.currency,
+            availability: AVAILABILITY_URLS[offers.availability] || null,
+            validFrom: offers.onSaleAt || offers.validFrom,
+        }) : null,
+        typicalAgeRange: event.ageRestriction,
+        description: event.description,
+        image: event.image,
+        url: event.sourceUrl,
+    });
+};
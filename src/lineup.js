@@ -0,0 +1,175 @@
+// ------------------------------------------------------------------------
+// Lineup parsing
+// Turns show titles and support lines into an ordered lineup:
+//   "X with Y and Z"      -> X (headliner), Y, Z (support)
+//   "X / Y / Z"           -> X (headliner), Y, Z (support)
+//   "X + special guests"  -> X (headliner)
+//   "X & Friends"         -> X (headliner)
+// without shredding act names that contain a connector. Names in the
+// protected gazetteer ("Earth, Wind & Fire", "AC/DC") are never split, and
+// "X and the Y" / "X & His Y" stay one act unless X itself starts with
+// "The" ("Florence and the Machine" vs "The Marked Men & The Haunt").
+// ------------------------------------------------------------------------
+
+export const PROTECTED_NAMES_KEY = 'PROTECTED_ARTIST_NAMES';
+
+const DEFAULT_PROTECTED_NAMES = [
+    'AC/DC',
+    'Above & Beyond',
+    'Angus & Julia Stone',
+    'Belle and Sebastian',
+    'Big & Rich',
+    'Blood, Sweat & Tears',
+    'Brooks & Dunn',
+    'Chase & Status',
+    'Crosby, Stills & Nash',
+    'Crosby, Stills, Nash & Young',
+    'Earth, Wind & Fire',
+    'Emerson, Lake & Palmer',
+    'Florence + the Machine',
+    'Hall & Oates',
+    'Ike & Tina Turner',
+    'Iron & Wine',
+    'Lily & Madeleine',
+    'Matt and Kim',
+    'Mumford & Sons',
+    'Of Monsters and Men',
+    'Peter, Paul and Mary',
+    'She & Him',
+    'Shovels & Rope',
+    'Simon & Garfunkel',
+    'Sonny & Cher',
+    'Tegan and Sara',
+    'The Naked and Famous',
+    'Years & Years',
+];
+
+// "special guests", "more TBA" and "& Friends" announce acts nobody can name yet.
+const PLACEHOLDER_PATTERN = /^(?:(?:and|plus|\+|&)\s+)?(?:(?:very\s+)?special\s+(?:guests?|friends)|guests?|(?:some\s+)?friends|more(?:\s+(?:tba|tbd|to\s+be\s+announced))?|many\s+more|tba|tbd|to\s+be\s+announced)$/i;
+
+const LEADING_CONNECTOR = /^(?:with|w\/|featuring|feat\.?|ft\.?|special\s+guests?:?|support(?:ing)?(?:\s+acts?)?:|openers?:|also\s+appearing:?)\s*/i;
+
+// Splits headliner part from support part; first match wins.
+const SUPPORT_CONNECTOR = /\s+(?:with|w\/|featuring|feat\.|feat|ft\.)\s+/i;
+
+// Separators between names of one list. Unspaced slashes only split longer
+// words ("Holy Wave/Night Beats"), so "AC/DC"-style names survive.
+const LIST_SEPARATOR = /(\s*[,;]\s*|\s+\/\s+|(?<=[^\s/]{4})\/(?=[^\s/]{4})|\s+\+\s+|\s+&\s+|\s+and\s+|\s+(?:with|w\/|featuring|feat\.|feat|ft\.)\s+)/i;
+
+const protectedNames = new Set(DEFAULT_PROTECTED_NAMES);
+let protectedPattern = null;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Adds names to the gazetteer for the rest of the process. Accepts an array
+// or newline-separated text (the PROTECTED_ARTIST_NAMES record).
+export const addProtectedNames = (names) => {
+    const list = typeof names === 'string' ? names.split(/\r?\n/) : names || [];
+    let added = 0;
+    for (const raw of list) {
+        const name = String(raw || '').replace(/\s+/g, ' ').trim();
+        if (!name || protectedNames.has(name)) continue;
+        protectedNames.add(name);
+        added++;
+    }
+    if (added) protectedPattern = null;
+    return added;
+};
+
+const getProtectedPattern = () => {
+    if (!protectedPattern) {
+        // Longest first, so "Crosby, Stills, Nash & Young" beats "Crosby, Stills & Nash".
+        const alternatives = Array.from(protectedNames)
+            .sort((a, b) => b.length - a.length)
+            .map((n) => escapeRegExp(n).replace(/\s+/g, '\\s+'));
+        protectedPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    }
+    return protectedPattern;
+};
+
+// Swaps protected names for placeholder tokens; `restore` puts the page's
+// own spelling back.
+const protect = (text) => {
+    const saved = [];
+    const masked = text.replace(getProtectedPattern(), (match) => {
+        saved.push(match);
+        return `\u0000${saved.length - 1}\u0000`;
+    });
+    const restore = (s) => s.replace(/\u0000(\d+)\u0000/g, (m, i) => saved[Number(i)]);
+    return { masked, restore };
+};
+
+const clean = (s) => String(s || '')
+    .replace(/^[^:]+\s+(?:presents?|pres\.)\s*:\s*/i, '') // "Promoter presents: ..."
+    .replace(/\s*@\s*\d.*$/, '') // "@ 8pm ..."
+    .replace(/\s*\(.*?\)\s*/g, ' ')
+    .replace(/[\s\u00A0]+/g, ' ')
+    .trim();
+
+const startsWithThe = (s) => /^the\s/i.test(s);
+const startsWithBand = (s) => /^(?:the|his|her|their)\s/i.test(s);
+
+const splitMasked = (masked) => {
+    const parts = masked.split(LIST_SEPARATOR);
+    const names = [];
+    let joined = false;
+    for (let i = 0; i < parts.length; i += 2) {
+        const token = parts[i].trim();
+        const separator = i > 0 ? parts[i - 1].trim().toLowerCase() : null;
+        const previous = names[names.length - 1];
+        // "Nick Cave & the Bad Seeds": the second half is the first one's band.
+        // A name takes one band at most, so "... and The Band of Heathens" splits.
+        if (previous && !joined && (separator === '&' || separator === 'and') && startsWithBand(token) && !startsWithThe(previous)) {
+            names[names.length - 1] = `${previous} ${parts[i - 1].trim()} ${token}`;
+            joined = true;
+            continue;
+        }
+        names.push(token);
+        joined = false;
+    }
+    return names;
+};
+
+const finish = (names, restore) => names
+    .map((n) => restore(n).replace(/^[,;:\s]+|[,;:\s]+$/g, '').trim())
+    .filter((n) => n && !PLACEHOLDER_PATTERN.test(n));
+
+// "with A, B & C" -> ["A", "B", "C"]
+export const splitArtistNames = (text) => {
+    const cleaned = clean(text).replace(LEADING_CONNECTOR, '');
+    if (!cleaned) return [];
+    const { masked, restore } = protect(cleaned);
+    return finish(splitMasked(masked), restore);
+};
+
+// Returns the ordered lineup [{ role, artistName }] for a show title; each
+// entry of `supports` (support lines found elsewhere on the page) is split
+// and appended. Duplicates keep their first position.
+export const parseLineup = (title, { supports = [] } = {}) => {
+    const lineup = [];
+    const seen = new Set();
+    const add = (role, artistName) => {
+        const key = artistName.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        lineup.push({ role: lineup.length ? role : 'headliner', artistName });
+    };
+
+    const cleaned = clean(title);
+    if (cleaned) {
+        const { masked, restore } = protect(cleaned);
+        const connector = masked.match(SUPPORT_CONNECTOR);
+        const headPart = connector ? masked.slice(0, connector.index) : masked;
+        const supportPart = connector ? masked.slice(connector.index + connector[0].length) : '';
+
+        // A co-bill in the head part ("X / Y / Z") lists the headliner first.
+        finish(splitMasked(headPart), restore).forEach((name) => add('support', name));
+        finish(splitMasked(supportPart), restore).forEach((name) => add('support', name));
+    }
+
+    for (const line of Array.isArray(supports) ? supports : [supports]) {
+        splitArtistNames(line).forEach((name) => add('support', name));
+    }
+
+    return lineup;
+};
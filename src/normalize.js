@@ -0,0 +1,171 @@
+import { describeArtist } from './artists.js';
+import { normalizeEventDate, parseClockTime } from './dates.js';
+import { buildEventRecord, isTicketVendorUrl } from './events.js';
+import { classifyEvent } from './eventTypes.js';
+import { parseLineup } from './lineup.js';
+import { finalizeOffers } from './offers.js';
+
+// ------------------------------------------------------------------------
+// Parser output -> dataset rows
+// Flattens each parser item into per-artist rows (role: headliner/support)
+// and builds the matching event record for the "events" dataset.
+// ------------------------------------------------------------------------
+
+export const cleanArtist = (s) => {
+    if (!s) return null;
+    let v = String(s || '');
+    v = v.replace(/^[^:]+\s+(?:Presents?|Pres\.):\s*/i, '');
+    v = v.replace(/@\s*\d{1,2}(:\d{2})?\s*(am|pm)?/i, '');
+    v = v.replace(/\bat\s+\d{1,2}(:\d{2})?\s*(am|pm)?\b/i, '');
+    v = v.replace(/\s+[\-–—]\s*[^,()]+$/g, ''); // "Act - Album Release Show", not "Tilt-A-Whirl"
+    v = v.replace(/\(.*?\)/g, '');
+    v = v.replace(/:\s*[^:]*\bTour\b.*$/i, ''); // drop trailing ": XYZ Tour"
+    v = v.replace(/[\u2018\u2019\u201C\u201D]/g, "'");
+    v = v.replace(/[\s\u00A0]+/g, ' ').trim();
+    v = v.replace(/^[,;:\s]+|[,;:\s]+$/g, '');
+    if (!v) return null;
+    return v;
+};
+
+// JSON-LD doorTime is either a full datetime or a bare clock time.
+const localClockTime = (value, { scrapedAt, timeZone }) => {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}[T\s]\d/.test(value)) return normalizeEventDate(value, { scrapedAt, timeZone }).showTime;
+    return parseClockTime(value);
+};
+
+const firstLineupName = (item) => {
+    const first = Array.isArray(item.lineup) ? item.lineup[0] : null;
+    return typeof first === 'string' ? first : (first && first.artistName) || null;
+};
+
+// Optional structured fields a parser (usually via src/jsonld.js) may supply;
+// they are copied onto the event record as-is, except for offers, whose
+// on-sale dates are normalized like the show date (src/offers.js).
+const eventDetails = (item, base, timeZone) => ({
+    title: item.title || null,
+    eventStatus: item.eventStatus || null,
+    ageRestriction: item.ageRestriction || null,
+    offers: finalizeOffers(item.offers, {
+        ticketUrl: item.ticketUrl || (isTicketVendorUrl(base.sourceUrl) ? base.sourceUrl : null),
+        scrapedAt: base.scrapedAt,
+        timeZone,
+    }),
+    location: item.location || null,
+    room: item.room || null,
+    description: item.description || null,
+    image: item.image || null,
+    categories: Array.isArray(item.categories) && item.categories.length ? item.categories : null,
+});
+
+// The item a detail request stands for, rebuilt from what its calendar
+// parser put in userData (calendarTitle, calendarSupports, calendarDateText,
+// calendarTimeText).
+// Used when the detail page itself failed; null without a calendar title.
+export const calendarFallbackItem = (request, reason) => {
+    const { calendarTitle, calendarSupports, calendarDateText, calendarTimeText } = (request && request.userData) || {};
+    if (!calendarTitle) return null;
+    return {
+        title: calendarTitle,
+        headliner: calendarTitle,
+        supportingActs: calendarSupports || [],
+        eventDateRaw: calendarDateText || null,
+        timeText: calendarTimeText || null,
+        sourceUrl: request.url,
+        extractionLevel: 'calendar',
+        failureReason: reason || null,
+    };
+};
+
+// Returns { rows, events }. `log` is optional so the function can also be
+// used outside a crawler run; a fixed `scrapedAt` makes the output
+// reproducible (year inference and timestamps depend on it). `resolveArtist`
+// maps a name to { artistId, artistNameCanonical }; the crawler passes the
+// persisted alias registry from src/artists.js. `extractionLevel` ('detail'
+// or 'calendar') says which page the data came from; items may override it.
+export const normalizeItems = (rawItems, {
+    venueId,
+    parserKey,
+    request,
+    timeZone,
+    log,
+    scrapedAt: fixedScrapedAt,
+    resolveArtist = describeArtist,
+    extractionLevel = null,
+} = {}) => {
+    const events = [];
+    const pageUrl = request ? request.loadedUrl || request.url : null;
+
+    const rows = (rawItems || []).flatMap((item) => {
+        const scrapedAt = fixedScrapedAt || new Date().toISOString();
+        const base = {
+            venueId,
+            venueParserId: parserKey,
+            sourceUrl: item.sourceUrl || pageUrl,
+            eventDateRaw: item.eventDateRaw ?? null,
+            ...normalizeEventDate(item.eventDateRaw, { scrapedAt, timeZone, timeText: item.timeText }),
+            // Tells a 200-cap inside show from a lawn show on the artist row itself.
+            room: item.room || null,
+            ageRestriction: item.ageRestriction || null,
+            scrapedAt,
+            extractionLevel: item.extractionLevel || extractionLevel,
+            failureReason: item.failureReason || null,
+            // concert, djNight, comedy, ... (src/eventTypes.js). Calendars
+            // without titles are judged by the headliner, which only
+            // phrase-level title rules can match.
+            ...classifyEvent({
+                title: item.title || item.headliner || item.artistName || firstLineupName(item),
+                description: item.description,
+                categories: item.categories,
+                jsonLdType: item.jsonLdType,
+                sourceUrl: item.sourceUrl || pageUrl,
+            }),
+        };
+        if (!base.doorsTime && item.doorTime) base.doorsTime = localClockTime(item.doorTime, { scrapedAt, timeZone });
+
+        // Parsers either hand over an ordered `lineup` (names or
+        // { artistName } entries, headliner first) or a headliner title plus
+        // supportingActs, which src/lineup.js splits.
+        const lineup = Array.isArray(item.lineup) && item.lineup.length
+            ? item.lineup
+            : item.headliner && parseLineup(item.headliner, { supports: item.supportingActs || [] });
+
+        const itemRows = [];
+        const seenNames = new Set();
+        for (const entry of lineup || []) {
+            const raw = typeof entry === 'string' ? entry : entry && entry.artistName;
+            const artistName = cleanArtist(raw) || raw;
+            if (!artistName || seenNames.has(artistName.toLowerCase())) continue;
+            seenNames.add(artistName.toLowerCase());
+            itemRows.push({ ...base, role: itemRows.length ? 'support' : 'headliner', artistName, ...resolveArtist(artistName) });
+        }
+
+        if (itemRows.length) {
+            const event = buildEventRecord({ base, lineup: itemRows, ticketUrl: item.ticketUrl, ...eventDetails(item, base, timeZone) });
+            events.push(event);
+            return itemRows.map((r) => ({ ...r, eventId: event.eventId }));
+        }
+
+        if (item.artistName) {
+            const cleaned = cleanArtist(item.artistName) || item.artistName;
+            const row = {
+                ...base,
+                role: item.role || 'unknown',
+                artistName: cleaned,
+                ...resolveArtist(cleaned),
+            };
+            const event = buildEventRecord({ base, lineup: [row], ticketUrl: item.ticketUrl, ...eventDetails(item, base, timeZone) });
+            events.push(event);
+            return [{ ...row, eventId: event.eventId }];
+        }
+
+        if (log) {
+            log.warning(
+                `Item from parser "${parserKey}" had no headliner or artistName on ${pageUrl}.`,
+            );
+        }
+        return [];
+    });
+
+    return { rows, events };
+};
@@ -0,0 +1,184 @@
+import { normalizeEventDate } from './dates.js';
+
+// ------------------------------------------------------------------------
+// Ticket offers
+// Detail parsers used to stop reading at "Tickets" / "On sale" lines; this
+// reads them instead. Parsers hand over a raw offers summary (JSON-LD from
+// src/jsonld.js, ticket lines and vendor links from the page, or both
+// merged), and normalizeItems turns it into the `offers` of the event:
+//   {
+//     priceMin, priceMax, currency,   // 15, 20, 'USD'
+//     isFree,                         // "Free" / "No cover" / price 0
+//     availability,                   // available | limited | presale |
+//                                     // soldOut | unavailable
+//     onSaleAt, presaleAt,            // ISO 8601 with offset, venue time
+//     url, vendor,                    // outbound ticket link and its seller
+//     validFrom,                      // JSON-LD validFrom as published
+//   }
+// ------------------------------------------------------------------------
+
+const TICKET_VENDORS = [
+    ['ticketmaster', /(^|\.)(ticketmaster\.com|livenation\.com)$/i],
+    ['etix', /(^|\.)etix\.com$/i],
+    ['dice', /(^|\.)dice\.fm$/i],
+    ['eventbrite', /(^|\.)eventbrite\.com$/i],
+    ['prekindle', /(^|\.)prekindle\.com$/i],
+    ['seetickets', /(^|\.)seetickets\.us$/i],
+    ['axs', /(^|\.)axs\.com$/i],
+    ['tixr', /(^|\.)tixr\.com$/i],
+    ['showclix', /(^|\.)showclix\.com$/i],
+];
+
+// "https://www.etix.com/ticket/p/123" -> "etix"; null for anything else.
+export const ticketVendorOf = (url) => {
+    if (!url) return null;
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+    const found = TICKET_VENDORS.find(([, pattern]) => pattern.test(host));
+    return found ? found[0] : null;
+};
+
+// First vendor link among the page's links.
+export const pickVendorLink = (urls) => (urls || []).find((u) => ticketVendorOf(u)) || null;
+
+// Longer lines are descriptions, not ticket info.
+const MAX_LINE_LENGTH = 200;
+
+const PRICE = /\$\s*(\d{1,4}(?:\.\d{2})?)|\b(\d{1,4}(?:\.\d{2})?)\s*(?:usd|dollars)\b/gi;
+const FREE = /\b(?:no cover|free (?:show|admission|entry|event|concert)|(?:admission|cover|tickets?|price)\s*:?\s*free)\b|^free!?$|\bfree (?:w\/|with) rsvp\b/i;
+const SOLD_OUT = /\bsold[\s-]?out\b/i;
+const LIMITED = /\b(?:low tickets|(?:few|final|last) tickets|tickets? (?:are )?(?:almost|nearly) gone|(?:almost|nearly) sold[\s-]?out|limited (?:tickets|availability)|selling fast)\b/i;
+const ON_SALE_NOW = /\bon[\s-]?sale now\b/i;
+const ON_SALE = /\b(?:general\s+)?on[\s-]?sale\b\s*(?:date|time)?\s*[:\-–]?\s*(.*)$/i;
+const PRESALE = /\bpre[\s-]?sale\b[^:]{0,40}?(?:starts?|begins?|[:\-–])\s*(.*)$/i;
+// A price right next to one of these words is not admission: "$3 wells",
+// "Parking: $10", "$4 fee". "$20 + fees" still is.
+const NOT_ADMISSION_WORD = '(?:fees?|parking|drinks?|wells?|beers?|merch|specials?|happy hour)';
+const NOT_ADMISSION_BEFORE = new RegExp(`\\b${NOT_ADMISSION_WORD}\\s*[:\\-–]?\\s*$`, 'i');
+const NOT_ADMISSION_AFTER = new RegExp(`^\\s*${NOT_ADMISSION_WORD}\\b`, 'i');
+// A date worth keeping: month name or m/d.
+const HAS_DATE = /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}\/\d{1,2}\b|\d{4}-\d{2}-\d{2}/i;
+
+// lines: text lines of a detail page (or one cost field). Returns a raw
+// offers summary ({ priceMin, priceMax, currency, isFree, availability,
+// onSaleText, presaleText }) or null when the lines say nothing about
+// tickets. Prices only count with a currency ("$15", "15 USD"), so dates
+// and times are never read as prices.
+export const parseTicketLines = (lines) => {
+    const prices = [];
+    let currency = null;
+    let isFree = null;
+    let availability = null;
+    let onSaleText = null;
+    let presaleText = null;
+
+    for (const raw of lines || []) {
+        const line = String(raw || '').replace(/\s+/g, ' ').trim();
+        if (!line || line.length > MAX_LINE_LENGTH) continue;
+
+        for (const m of line.matchAll(PRICE)) {
+            const n = parseFloat(m[1] || m[2]);
+            if (!Number.isFinite(n)) continue;
+            if (NOT_ADMISSION_BEFORE.test(line.slice(0, m.index)) || NOT_ADMISSION_AFTER.test(line.slice(m.index + m[0].length))) continue;
+            prices.push(n);
+            currency = 'USD';
+        }
+        if (FREE.test(line)) isFree = true;
+
+        if (SOLD_OUT.test(line) && !/\bnot sold[\s-]?out\b|\bbefore (?:it|they) sells? out\b/i.test(line)) availability = 'soldOut';
+        else if (LIMITED.test(line) && availability !== 'soldOut') availability = 'limited';
+        else if (ON_SALE_NOW.test(line) && !availability) availability = 'available';
+
+        const presale = line.match(PRESALE);
+        if (presale && !presaleText && HAS_DATE.test(presale[1])) presaleText = presale[1];
+        const onSale = !/pre[\s-]?sale/i.test(line) && line.match(ON_SALE);
+        if (onSale && !onSaleText && HAS_DATE.test(onSale[1])) onSaleText = onSale[1];
+    }
+
+    if (!prices.length && !isFree && !availability && !onSaleText && !presaleText) return null;
+    // "$0" is free; a free RSVP next to a paid tier is not.
+    const paid = prices.filter((n) => n > 0);
+    if (prices.length) isFree = !paid.length;
+    return {
+        priceMin: paid.length ? Math.min(...paid) : (isFree ? 0 : null),
+        priceMax: paid.length ? Math.max(...paid) : (isFree ? 0 : null),
+        currency,
+        isFree,
+        availability,
+        onSaleText,
+        presaleText,
+    };
+};
+
+// Availability the page states outright beats a generic "in stock" from
+// an earlier source: a show marked "Sold out" on its page is sold out.
+const OVERRIDING_AVAILABILITY = ['soldOut', 'limited'];
+
+// Field-wise merge of raw summaries, earlier sources first.
+export const mergeOffers = (...sources) => {
+    const list = sources.filter((s) => s && typeof s === 'object');
+    if (!list.length) return null;
+    const merged = {};
+    for (const source of list) {
+        for (const [key, value] of Object.entries(source)) {
+            if (value === null || value === undefined) continue;
+            if (merged[key] === null || merged[key] === undefined) merged[key] = value;
+            else if (key === 'availability' && OVERRIDING_AVAILABILITY.includes(value) && !OVERRIDING_AVAILABILITY.includes(merged[key])) merged[key] = value;
+        }
+    }
+    return Object.keys(merged).length ? merged : null;
+};
+
+const linesOfText = (text) => String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+
+// Ticket lines and vendor links of a Playwright page -> raw summary or null.
+export const readTicketOffers = async (page) => {
+    const { text, links } = await page
+        .evaluate(() => ({
+            text: document.body ? document.body.innerText || '' : '',
+            links: Array.from(document.querySelectorAll('a[href]')).map((a) => a.href),
+        }))
+        .catch(() => ({ text: '', links: [] }));
+    return mergeOffers(parseTicketLines(linesOfText(text)), { url: pickVendorLink(links) });
+};
+
+// Same for a Cheerio document; `text` is its innerText (src/static.js).
+export const readTicketOffersFromHtml = ($, text) => {
+    const links = $('a[href]').toArray().map((el) => $(el).prop('href'));
+    return mergeOffers(parseTicketLines(linesOfText(text)), { url: pickVendorLink(links) });
+};
+
+const toLocalISO = (text, { scrapedAt, timeZone }) => {
+    if (!text) return null;
+    const { eventStartISO } = normalizeEventDate(text, { scrapedAt, timeZone });
+    return eventStartISO;
+};
+
+// Raw summary -> the `offers` of an event record (shape in the header), or
+// null when nothing is known. `ticketUrl` fills the link.
+export const finalizeOffers = (offers, { ticketUrl = null, scrapedAt, timeZone } = {}) => {
+    const o = offers || {};
+    const url = o.url || ticketUrl || null;
+    const priceMin = o.priceMin ?? null;
+    const priceMax = o.priceMax ?? null;
+    let isFree = o.isFree ?? null;
+    if (isFree === null && priceMax !== null) isFree = priceMax === 0;
+
+    const result = {
+        priceMin,
+        priceMax,
+        currency: o.currency || null,
+        isFree,
+        availability: o.availability || null,
+        onSaleAt: toLocalISO(o.onSaleText || o.validFrom, { scrapedAt, timeZone }),
+        presaleAt: toLocalISO(o.presaleText, { scrapedAt, timeZone }),
+        url,
+        vendor: ticketVendorOf(url),
+        validFrom: o.validFrom || null,
+    };
+    return Object.values(result).some((v) => v !== null) ? result : null;
+};
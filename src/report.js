@@ -0,0 +1,206 @@
+import { Actor } from 'apify';
+
+// ------------------------------------------------------------------------
+// Run health report
+// Counts per venue what the crawl did and stores it as the RUN_REPORT
+// record in the default key-value store:
+//   {
+//     startedAt, finishedAt, durationSecs, previousReportAt,
+//     venues: { [venueId]: { requestsHandled, requestsFailed, emptyResults,
+//                            browserFallbacks, detailQueued, detailParsed, rowsPushed,
+//                            rowsFiltered, eventsPushed, durationSecs,
+//                            previousRowsPushed, previousRowsFiltered,
+//                            failures: [{ url, parserId, error }] } },
+//     totals, alerts: [{ venueId, type, severity, message }], healthy
+//   }
+// The last report is also kept in the named "run-reports" store, so the
+// next run can flag venues whose output dropped sharply. rowsFiltered are
+// rows of non-concert shows left out with `concertsOnly`; health checks
+// count them as output.
+// ------------------------------------------------------------------------
+
+export const REPORT_STORE_NAME = 'run-reports';
+export const RUN_REPORT_KEY = 'RUN_REPORT';
+
+// Drop-off is only judged against a previous run with at least this many
+// rows; below it a few cancelled shows already look like a collapse.
+const MIN_PREVIOUS_ROWS_FOR_DROP = 5;
+
+// Failure messages kept per venue; the rest only count.
+const MAX_FAILURES_LISTED = 20;
+
+export const DEFAULT_HEALTH_THRESHOLDS = {
+    minRowsPerVenue: 1,
+    maxRowDropPercent: 50,
+    maxFailedRequestPercent: 50,
+};
+
+const emptyVenueStats = () => ({
+    requestsHandled: 0,
+    requestsFailed: 0,
+    emptyResults: 0,
+    browserFallbacks: 0,
+    detailQueued: new Set(),
+    detailParsed: new Set(),
+    rowsPushed: 0,
+    rowsFiltered: 0,
+    eventsPushed: 0,
+    firstRequestAt: null,
+    lastRequestAt: null,
+    failures: [],
+});
+
+const secondsBetween = (from, to) => (from && to ? Math.round((Date.parse(to) - Date.parse(from)) / 1000) : null);
+
+export const createRunReport = ({ venueIds = [], now = () => new Date().toISOString() } = {}) => {
+    const startedAt = now();
+    const venues = new Map();
+
+    const statsFor = (venueId) => {
+        const id = venueId || 'unknown';
+        if (!venues.has(id)) venues.set(id, emptyVenueStats());
+        return venues.get(id);
+    };
+    venueIds.forEach(statsFor);
+
+    const touch = (stats) => {
+        const at = now();
+        if (!stats.firstRequestAt) stats.firstRequestAt = at;
+        stats.lastRequestAt = at;
+    };
+
+    // isDetail: the request ran a detail parser
+    const requestHandled = (venueId, { url, isDetail }) => {
+        const stats = statsFor(venueId);
+        stats.requestsHandled++;
+        if (isDetail) stats.detailParsed.add(url);
+        touch(stats);
+    };
+
+    const requestFailed = (venueId, { url, parserId, error }) => {
+        const stats = statsFor(venueId);
+        stats.requestsFailed++;
+        if (stats.failures.length < MAX_FAILURES_LISTED) stats.failures.push({ url, parserId: parserId || null, error: error || null });
+        touch(stats);
+    };
+
+    const detailQueued = (venueId, url) => statsFor(venueId).detailQueued.add(url);
+    const emptyResult = (venueId) => { statsFor(venueId).emptyResults++; };
+    const browserFallback = (venueId) => { statsFor(venueId).browserFallbacks++; };
+    const rowsPushed = (venueId, count) => { statsFor(venueId).rowsPushed += count; };
+    const rowsFiltered = (venueId, count) => { statsFor(venueId).rowsFiltered += count; };
+    const eventsPushed = (venueId, count) => { statsFor(venueId).eventsPushed += count; };
+    // Venues with at least one failed request; their crawl was incomplete.
+    const failedVenueIds = () => Array.from(venues).filter(([, stats]) => stats.requestsFailed > 0).map(([venueId]) => venueId);
+
+    // previous: the stored report of the last run (or null)
+    const finish = (previous, thresholds = DEFAULT_HEALTH_THRESHOLDS) => {
+        const finishedAt = now();
+        const previousVenues = (previous && previous.venues) || {};
+        const report = {
+            startedAt,
+            finishedAt,
+            durationSecs: secondsBetween(startedAt, finishedAt),
+            previousReportAt: previous ? previous.finishedAt : null,
+            venues: {},
+            totals: { requestsHandled: 0, requestsFailed: 0, detailQueued: 0, detailParsed: 0, rowsPushed: 0, rowsFiltered: 0, eventsPushed: 0 },
+        };
+
+        for (const [venueId, stats] of venues) {
+            const entry = {
+                requestsHandled: stats.requestsHandled,
+                requestsFailed: stats.requestsFailed,
+                emptyResults: stats.emptyResults,
+                browserFallbacks: stats.browserFallbacks,
+                detailQueued: stats.detailQueued.size,
+                detailParsed: stats.detailParsed.size,
+                rowsPushed: stats.rowsPushed,
+                rowsFiltered: stats.rowsFiltered,
+                eventsPushed: stats.eventsPushed,
+                durationSecs: secondsBetween(stats.firstRequestAt, stats.lastRequestAt),
+                previousRowsPushed: previousVenues[venueId] ? previousVenues[venueId].rowsPushed : null,
+                // Reports written before concertsOnly was counted have none.
+                previousRowsFiltered: previousVenues[venueId] ? previousVenues[venueId].rowsFiltered || 0 : null,
+                failures: stats.failures,
+            };
+            report.venues[venueId] = entry;
+            for (const key of Object.keys(report.totals)) report.totals[key] += entry[key];
+        }
+
+        report.alerts = evaluateReport(report, thresholds);
+        report.healthy = !report.alerts.some((a) => a.severity === 'error');
+        return report;
+    };
+
+    return { requestHandled, requestFailed, detailQueued, emptyResult, browserFallback, rowsPushed, rowsFiltered, eventsPushed, failedVenueIds, finish };
+};
+
+// Returns [{ venueId, type, severity, message }] for every threshold a venue
+// violates (rows include rowsFiltered):
+//   noRows   - fewer rows than minRowsPerVenue. An error when the venue
+//              also had failed requests or had at least
+//              MIN_PREVIOUS_ROWS_FOR_DROP rows last run (a parser that broke
+//              quietly); an empty calendar on its own (off-season, between
+//              bookings) is a warning.
+//   dropOff  - rows fell by more than maxRowDropPercent since the last run
+//   failures - more than maxFailedRequestPercent of its requests failed
+// Error alerts make the report unhealthy; warnings are only listed.
+export const evaluateReport = (report, thresholds = DEFAULT_HEALTH_THRESHOLDS) => {
+    // Unset input fields arrive as undefined and keep the default.
+    const threshold = (name) => (thresholds && thresholds[name] != null ? thresholds[name] : DEFAULT_HEALTH_THRESHOLDS[name]);
+    const minRowsPerVenue = threshold('minRowsPerVenue');
+    const maxRowDropPercent = threshold('maxRowDropPercent');
+    const maxFailedRequestPercent = threshold('maxFailedRequestPercent');
+    const alerts = [];
+
+    for (const [venueId, v] of Object.entries(report.venues)) {
+        const rows = v.rowsPushed + (v.rowsFiltered || 0);
+        const previousRows = v.previousRowsPushed === null || v.previousRowsPushed === undefined
+            ? null
+            : v.previousRowsPushed + (v.previousRowsFiltered || 0);
+        const hadRows = previousRows >= MIN_PREVIOUS_ROWS_FOR_DROP;
+
+        if (rows < minRowsPerVenue) {
+            const severity = v.requestsFailed || hadRows ? 'error' : 'warning';
+            let reason = '';
+            if (v.requestsFailed) reason = ` ${v.requestsFailed} request(s) failed.`;
+            else if (hadRows) reason = ` The previous run had ${previousRows}.`;
+            alerts.push({ venueId, type: 'noRows', severity, message: `${venueId}: ${rows} row(s), expected at least ${minRowsPerVenue}.${reason}` });
+        }
+
+        if (hadRows) {
+            const dropPercent = Math.round((1 - rows / previousRows) * 100);
+            if (dropPercent > maxRowDropPercent) {
+                alerts.push({ venueId, type: 'dropOff', severity: 'error', message: `${venueId}: ${rows} row(s), down ${dropPercent}% from ${previousRows} in the previous run.` });
+            }
+        }
+
+        const attempted = v.requestsHandled + v.requestsFailed;
+        const failedPercent = attempted ? Math.round((v.requestsFailed / attempted) * 100) : 0;
+        if (failedPercent > maxFailedRequestPercent) {
+            alerts.push({ venueId, type: 'failures', severity: 'error', message: `${venueId}: ${v.requestsFailed} of ${attempted} request(s) failed.` });
+        }
+    }
+
+    return alerts;
+};
+
+// Finishes the report against the stored previous one and saves it.
+// `keepAsBaseline: false` leaves the stored report alone (replayed crawls).
+export const saveRunReport = async (runReport, { thresholds, keepAsBaseline = true, log } = {}) => {
+    const store = await Actor.openKeyValueStore(REPORT_STORE_NAME);
+    const previous = await store.getValue(RUN_REPORT_KEY);
+    const report = runReport.finish(previous, thresholds);
+
+    await Actor.setValue(RUN_REPORT_KEY, report);
+    if (keepAsBaseline) await store.setValue(RUN_REPORT_KEY, report);
+
+    const { totals } = report;
+    log.info(`Run report: ${totals.rowsPushed} row(s) from ${Object.keys(report.venues).length} venue(s), ${totals.requestsFailed} failed request(s), ${totals.detailParsed}/${totals.detailQueued} detail page(s) parsed.`);
+    for (const alert of report.alerts) {
+        if (alert.severity === 'error') log.error(`Health check: ${alert.message}`);
+        else log.warning(`Health check: ${alert.message}`);
+    }
+
+    return report;
+};
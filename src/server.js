@@ -0,0 +1,252 @@
+import http from 'node:http';
+
+import { Actor } from 'apify';
+
+import { ARTIST_ALIASES_KEY, ARTIST_STORE_NAME, buildArtistId, canonicalArtistKey } from './artists.js';
+import { DEFAULT_TIME_ZONE, toLocalDate } from './dates.js';
+import { EVENTS_DATASET_NAME } from './events.js';
+import { eventToMusicEvent } from './jsonld.js';
+
+// ------------------------------------------------------------------------
+// Query server
+// Read-only REST API over what the crawler stored: the "events" dataset
+// (latest record per eventId) and the artist alias table. It runs against
+// local storage (./storage, or CRAWLEE_STORAGE_DIR) as well as on the
+// platform, and reloads the dataset at most every `reloadSecs`.
+//
+//   GET /events?from=&to=&venue=&artist=&q=&status=&type=&sort=&limit=&offset=
+//   GET /events/:eventId
+//   GET /artists/:name/shows      (name, any spelling, or artistId)
+//   GET /venues
+//
+// Lists answer { total, limit, offset, items }. `format=jsonld` (or an
+// Accept header asking for application/ld+json) returns schema.org
+// MusicEvent objects instead of event records.
+// ------------------------------------------------------------------------
+
+export const DEFAULT_SERVER_PORT = 3000;
+const DEFAULT_RELOAD_SECS = 60;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+const ARTIST_ID = /^[0-9a-f]{16}$/;
+
+const SORT_KEYS = {
+    // Undated shows sort after dated ones.
+    date: (e) => e.eventStartISO || e.eventDate || '\uffff',
+    venue: (e) => e.venueId || '',
+    title: (e) => String(e.title || '').toLowerCase(),
+    scrapedAt: (e) => e.scrapedAt || '',
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const listParam = (value) => (value ? String(value).split(',').map((v) => v.trim()).filter(Boolean) : []);
+
+const intParam = (params, name, fallback, max = Infinity) => {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return fallback;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw badRequest(`"${name}" must be a non-negative integer.`);
+    return Math.min(n, max);
+};
+
+// The events dataset gets every show of every run; keep the newest record.
+export const latestEvents = (records) => {
+    const byId = new Map();
+    for (const r of records) {
+        if (!r || !r.eventId) continue;
+        const prev = byId.get(r.eventId);
+        if (!prev || String(r.scrapedAt || '') >= String(prev.scrapedAt || '')) byId.set(r.eventId, r);
+    }
+    return Array.from(byId.values());
+};
+
+// Name (any spelling) or artistId -> the ids and canonical key to match.
+export const artistMatcher = (nameOrId, aliases = {}) => {
+    const value = String(nameOrId || '').trim();
+    if (ARTIST_ID.test(value)) return (a) => a.artistId === value;
+    const key = canonicalArtistKey(value);
+    if (!key) throw badRequest('Artist name is empty.');
+    const ids = new Set([buildArtistId(key), aliases[key]].filter(Boolean));
+    return (a) => ids.has(a.artistId) || canonicalArtistKey(a.artistName) === key;
+};
+
+// params: URLSearchParams. Returns { total, limit, offset, items }.
+export const queryEvents = (events, params, { aliases } = {}) => {
+    const from = params.get('from');
+    const to = params.get('to');
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && !DATE_PARAM.test(value)) throw badRequest(`"${name}" must be a date (YYYY-MM-DD).`);
+    }
+    const venueIds = new Set(listParam(params.get('venue')));
+    const statuses = new Set(listParam(params.get('status')));
+    const types = new Set(listParam(params.get('type')));
+    const artist = params.get('artist');
+    const matchesArtist = artist ? artistMatcher(artist, aliases) : null;
+    const q = String(params.get('q') || '').trim().toLowerCase();
+
+    const rawSort = params.get('sort') || 'date';
+    const descending = rawSort.startsWith('-');
+    const sortKey = SORT_KEYS[rawSort.replace(/^-/, '')];
+    if (!sortKey) throw badRequest(`"sort" must be one of ${Object.keys(SORT_KEYS).join(', ')} (prefix "-" to reverse).`);
+
+    const limit = intParam(params, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = intParam(params, 'offset', 0);
+
+    const matched = events.filter((e) => {
+        // Undated shows cannot be placed in a range.
+        if ((from || to) && !e.eventDate) return false;
+        if (from && e.eventDate < from) return false;
+        if (to && e.eventDate > to) return false;
+        if (venueIds.size && !venueIds.has(e.venueId)) return false;
+        if (statuses.size && !statuses.has(e.eventStatus || 'scheduled')) return false;
+        // Records stored before events were classified count as concerts.
+        if (types.size && !types.has(e.eventType || 'concert')) return false;
+        if (matchesArtist && !(e.lineup || []).some(matchesArtist)) return false;
+        if (q) {
+            const text = [e.title, ...(e.lineup || []).map((a) => a.artistName)].join(' ').toLowerCase();
+            if (!text.includes(q)) return false;
+        }
+        return true;
+    });
+
+    matched.sort((a, b) => {
+        const cmp = String(sortKey(a)).localeCompare(String(sortKey(b))) || String(a.eventId).localeCompare(String(b.eventId));
+        return descending ? -cmp : cmp;
+    });
+
+    return { total: matched.length, limit, offset, items: matched.slice(offset, offset + limit) };
+};
+
+// venues: registry entries; shows of unregistered (configured) venues
+// still list their venue by id.
+export const summarizeVenues = (events, venues, { today }) => {
+    const byId = new Map();
+    for (const v of venues) byId.set(v.id, { id: v.id, name: v.name || v.id, startUrl: v.startUrl || null, timezone: v.timezone || null, eventCount: 0, upcomingCount: 0, lastScrapedAt: null });
+    for (const e of events) {
+        if (!byId.has(e.venueId)) byId.set(e.venueId, { id: e.venueId, name: e.venueId, startUrl: null, timezone: null, eventCount: 0, upcomingCount: 0, lastScrapedAt: null });
+        const v = byId.get(e.venueId);
+        v.eventCount++;
+        if (e.eventDate && e.eventDate >= today) v.upcomingCount++;
+        if (!v.lastScrapedAt || String(e.scrapedAt) > v.lastScrapedAt) v.lastScrapedAt = e.scrapedAt || v.lastScrapedAt;
+    }
+    return Array.from(byId.values());
+};
+
+// Reads the stores lazily and caches them for reloadSecs.
+const createStorageSource = ({ datasetName = EVENTS_DATASET_NAME, reloadSecs = DEFAULT_RELOAD_SECS, log }) => {
+    let cache = null;
+    let loadedAt = 0;
+
+    const load = async () => {
+        const dataset = await Actor.openDataset(datasetName);
+        const records = [];
+        await dataset.forEach(async (item) => { records.push(item); });
+        const aliasStore = await Actor.openKeyValueStore(ARTIST_STORE_NAME);
+        const table = (await aliasStore.getValue(ARTIST_ALIASES_KEY)) || {};
+        const events = latestEvents(records);
+        log.info(`Query server loaded ${events.length} show(s) from ${records.length} record(s) in "${datasetName}".`);
+        return { events, aliases: table.aliases || {} };
+    };
+
+    return async () => {
+        if (!cache || Date.now() - loadedAt > reloadSecs * 1000) {
+            cache = await load();
+            loadedAt = Date.now();
+        }
+        return cache;
+    };
+};
+
+const wantsJsonLd = (req, params) => params.get('format') === 'jsonld' || /application\/ld\+json/.test(req.headers.accept || '');
+
+const send = (res, status, body, contentType = 'application/json; charset=utf-8') => {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Cache-Control': 'no-store',
+    });
+    res.end(body === null ? undefined : `${JSON.stringify(body, null, 2)}\n`);
+};
+
+// Returns the (req, res) handler; `getData` resolves to { events, aliases }.
+export const createApiHandler = ({ getData, venues, timeZone = DEFAULT_TIME_ZONE, log }) => {
+    const venueNames = Object.fromEntries(venues.map((v) => [v.id, v.name]));
+
+    const listResponse = (req, res, params, result) => {
+        if (!wantsJsonLd(req, params)) return send(res, 200, result);
+        const items = result.items.map((e) => eventToMusicEvent(e, { venueName: venueNames[e.venueId] }));
+        return send(res, 200, { ...result, items }, 'application/ld+json; charset=utf-8');
+    };
+
+    // A malformed escape ("/artists/%E0%A4%A/shows") is a bad request.
+    const decodePart = (part) => {
+        try {
+            return decodeURIComponent(part);
+        } catch (e) {
+            throw badRequest(`Malformed escape in path segment "${part}".`);
+        }
+    };
+
+    return async (req, res) => {
+        try {
+            if (req.method === 'OPTIONS') return send(res, 204, null);
+            if (req.method !== 'GET') return send(res, 405, { error: 'Only GET is supported.' });
+
+            const url = new URL(req.url, 'http://localhost');
+            const params = url.searchParams;
+            const parts = url.pathname.split('/').filter(Boolean).map(decodePart);
+
+            if (!parts.length) {
+                return send(res, 200, {
+                    endpoints: ['/events?from=&to=&venue=&artist=&q=&status=&type=&sort=&limit=&offset=&format=jsonld', '/events/:eventId', '/artists/:name/shows', '/venues'],
+                });
+            }
+
+            const { events, aliases } = await getData();
+
+            if (parts[0] === 'events' && parts.length === 1) {
+                return listResponse(req, res, params, queryEvents(events, params, { aliases }));
+            }
+
+            if (parts[0] === 'events' && parts.length === 2) {
+                const event = events.find((e) => e.eventId === parts[1]);
+                if (!event) return send(res, 404, { error: `No show with eventId "${parts[1]}".` });
+                if (wantsJsonLd(req, params)) return send(res, 200, eventToMusicEvent(event, { venueName: venueNames[event.venueId] }), 'application/ld+json; charset=utf-8');
+                return send(res, 200, event);
+            }
+
+            if (parts[0] === 'artists' && parts.length === 3 && parts[2] === 'shows') {
+                const scoped = new URLSearchParams(params);
+                scoped.set('artist', parts[1]);
+                return listResponse(req, res, params, queryEvents(events, scoped, { aliases }));
+            }
+
+            if (parts[0] === 'venues' && parts.length === 1) {
+                const items = summarizeVenues(events, venues, { today: toLocalDate(new Date(), timeZone) });
+                return send(res, 200, { total: items.length, items });
+            }
+
+            return send(res, 404, { error: `Unknown endpoint ${url.pathname}.` });
+        } catch (e) {
+            if (e.statusCode) return send(res, e.statusCode, { error: e.message });
+            log.exception(e, `Query server failed on ${req.url}`);
+            return send(res, 500, { error: 'Internal error.' });
+        }
+    };
+};
+
+// Starts listening and resolves with the http.Server.
+export const startQueryServer = async ({ port = DEFAULT_SERVER_PORT, host, venues, reloadSecs, timeZone, log }) => {
+    const getData = createStorageSource({ reloadSecs, log });
+    const server = http.createServer(createApiHandler({ getData, venues, timeZone, log }));
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    log.info(`Query server listening on http://${host || 'localhost'}:${server.address().port}`);
+    return server;
+};
@@ -0,0 +1,59 @@
+// ------------------------------------------------------------------------
+// Show details
+// The lines detail parsers used to stop reading at ("Doors 7pm / Show 8pm",
+// "All Ages", "21+") and the room or stage of venues that have several:
+//   readShowLines(lines)  -> { timeText, ageRestriction }
+//   findRoom(texts, rooms) -> room name or null
+// Parsers pass timeText on as-is; normalizeItems turns it into doorsTime
+// and showTime (src/dates.js).
+// ------------------------------------------------------------------------
+
+// Longer lines are prose, not a times or ages row.
+const MAX_LINE_LENGTH = 120;
+
+const CLOCK = /\b\d{1,2}(?::\d{2})?\s*[ap]\.?m\b|\b\d{1,2}:\d{2}\b/i;
+const TIME_LABEL = /\b(?:doors?|show|music|starts?|time)\b/i;
+
+// "21+", "18 & up", "21 and over", "Ages 18+" -> "21+"; "All Ages".
+// Not after "$" so "$21+ fees" is not an age.
+const MIN_AGE = /(?<![$\d.])\b(1[0-9]|2[01])\s*(?:\+|(?:and|&)\s*(?:over|up)\b|or older\b)|\bages?\s*:?\s*(1[0-9]|2[01])\b/i;
+const ALL_AGES = /\ball[\s-]+ages\b/i;
+
+export const parseAgeRestriction = (text) => {
+    const s = String(text || '');
+    if (ALL_AGES.test(s)) return 'All Ages';
+    const m = s.match(MIN_AGE);
+    return m ? `${m[1] || m[2]}+` : null;
+};
+
+// lines: text lines of a page or card. The first two lines that label a
+// clock time become timeText ("Doors 7:00 pm / Show 8:30 pm").
+export const readShowLines = (lines) => {
+    const timeLines = [];
+    let ageRestriction = null;
+    for (const raw of lines || []) {
+        const line = String(raw || '').replace(/\s+/g, ' ').trim();
+        if (!line || line.length > MAX_LINE_LENGTH) continue;
+        if (timeLines.length < 2 && TIME_LABEL.test(line) && CLOCK.test(line)) timeLines.push(line);
+        ageRestriction = ageRestriction || parseAgeRestriction(line);
+    }
+    return { timeText: timeLines.join(' / ') || null, ageRestriction };
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// rooms: names ("Control Room") or { name, match: [words that mean it] }.
+// texts: titles, location names, card text or URLs, most specific first.
+export const findRoom = (texts, rooms) => {
+    const patterns = (rooms || []).map((room) => {
+        const name = typeof room === 'string' ? room : room.name;
+        const words = typeof room === 'string' ? [room] : [room.name, ...(room.match || [])];
+        return { name, pattern: new RegExp(`\\b(?:${words.map((w) => escapeRegExp(String(w).trim())).join('|')})\\b`, 'i') };
+    });
+    for (const text of texts || []) {
+        if (!text) continue;
+        const found = patterns.find((p) => p.pattern.test(text));
+        if (found) return found.name;
+    }
+    return null;
+};
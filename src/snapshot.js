@@ -0,0 +1,245 @@
+import { Actor } from 'apify';
+
+import { toLocalDate } from './dates.js';
+
+// ------------------------------------------------------------------------
+// Incremental crawling
+// Keeps a snapshot of every known show (keyed by eventId) in a named
+// key-value store and diffs each run against it:
+//   added    - shows not seen before
+//   changed  - same show, different lineup / date / time / title
+//   removed  - upcoming shows missing from complete crawls of their venue
+//              in REMOVED_AFTER_MISSED_RUNS runs in a row
+// ------------------------------------------------------------------------
+
+export const SNAPSHOT_STORE_NAME = 'event-snapshots';
+export const SNAPSHOT_KEY = 'SNAPSHOT';
+export const CHANGES_KEY = 'CHANGES';
+export const CHANGES_DATASET_NAME = 'changes';
+
+// A show one run did not list may only have been cut off (a truncated
+// calendar page); it is kept, with a missedRuns counter, until this many
+// complete crawls in a row have missed it.
+export const REMOVED_AFTER_MISSED_RUNS = 2;
+
+const TRACKED_FIELDS = ['eventDate', 'eventStartISO', 'doorsTime', 'showTime', 'title', 'room'];
+
+// What we keep per show between runs.
+const toSnapshotEntry = (event, now, previous) => ({
+    eventId: event.eventId,
+    venueId: event.venueId,
+    title: event.title,
+    eventDate: event.eventDate,
+    eventStartISO: event.eventStartISO,
+    doorsTime: event.doorsTime,
+    showTime: event.showTime,
+    room: event.room || null,
+    lineup: (event.lineup || []).map((a) => ({ role: a.role, artistName: a.artistName })),
+    sourceUrl: event.sourceUrl,
+    ticketUrl: event.ticketUrl,
+    firstSeenAt: previous ? previous.firstSeenAt : now,
+    lastSeenAt: now,
+});
+
+const lineupKey = (lineup) => (lineup || []).map((a) => `${a.role}:${String(a.artistName || '').toLowerCase()}`).join('|');
+const artistSet = (lineup) => new Set((lineup || []).map((a) => String(a.artistName || '').toLowerCase()));
+
+const describeChanges = (before, after) => {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        // Snapshots written before a field was tracked do not have it.
+        if (!(field in before)) continue;
+        if ((before[field] || null) !== (after[field] || null)) {
+            changes[field] = { before: before[field] || null, after: after[field] || null };
+        }
+    }
+
+    if (lineupKey(before.lineup) !== lineupKey(after.lineup)) {
+        const beforeArtists = artistSet(before.lineup);
+        const afterArtists = artistSet(after.lineup);
+        const headBefore = (before.lineup || []).find((a) => a.role === 'headliner');
+        const headAfter = (after.lineup || []).find((a) => a.role === 'headliner');
+        changes.lineup = {
+            added: (after.lineup || []).filter((a) => !beforeArtists.has(String(a.artistName || '').toLowerCase())).map((a) => a.artistName),
+            removed: (before.lineup || []).filter((a) => !afterArtists.has(String(a.artistName || '').toLowerCase())).map((a) => a.artistName),
+            headlinerChanged: (headBefore ? headBefore.artistName : null) !== (headAfter ? headAfter.artistName : null),
+            before: before.lineup,
+            after: after.lineup,
+        };
+    }
+
+    return changes;
+};
+
+// URLs that identify a single show. Calendar pages shared by many shows
+// (Mohawk, Emo's, ...) are excluded because they say nothing about identity.
+const uniqueUrlIndex = (entries) => {
+    const counts = new Map();
+    for (const e of entries) {
+        for (const url of new Set([e.sourceUrl, e.ticketUrl].filter(Boolean))) counts.set(url, (counts.get(url) || 0) + 1);
+    }
+    const index = new Map();
+    for (const e of entries) {
+        for (const url of [e.sourceUrl, e.ticketUrl]) {
+            if (url && counts.get(url) === 1) index.set(`${e.venueId}|${url}`, e);
+        }
+    }
+    return index;
+};
+
+// An eventId embeds venue, date and headliner, so a moved date or a swapped
+// headliner yields a new id. Before reporting such pairs as removed + added,
+// pair them up by a show-specific URL, or by same date with shared artists.
+const pairMovedEvents = (unmatchedBefore, unmatchedAfter) => {
+    const pairs = [];
+    const usedBefore = new Set();
+    const usedAfter = new Set();
+
+    const beforeByUrl = uniqueUrlIndex(unmatchedBefore);
+    const afterByUrl = uniqueUrlIndex(unmatchedAfter);
+    for (const [key, after] of afterByUrl) {
+        const before = beforeByUrl.get(key);
+        if (!before || usedBefore.has(before.eventId) || usedAfter.has(after.eventId)) continue;
+        pairs.push([before, after]);
+        usedBefore.add(before.eventId);
+        usedAfter.add(after.eventId);
+    }
+
+    for (const after of unmatchedAfter) {
+        if (usedAfter.has(after.eventId) || !after.eventDate) continue;
+        const afterArtists = artistSet(after.lineup);
+        const before = unmatchedBefore.find((b) => !usedBefore.has(b.eventId)
+            && b.venueId === after.venueId
+            && b.eventDate === after.eventDate
+            && Array.from(artistSet(b.lineup)).some((name) => afterArtists.has(name)));
+        if (!before) continue;
+        pairs.push([before, after]);
+        usedBefore.add(before.eventId);
+        usedAfter.add(after.eventId);
+    }
+
+    return { pairs, usedBefore, usedAfter };
+};
+
+// previous:        snapshot object ({ events: { [eventId]: entry } }) or null
+// currentEvents:   event records pushed during this run
+// crawledVenueIds: venues whose crawl was complete this run (events, no
+//                  failed requests). Shows of other venues are carried over
+//                  untouched, so a broken parser or a failed detail page
+//                  does not report the rest of the calendar as removed.
+// today:           local YYYY-MM-DD; past shows leave the snapshot silently
+// removeAfterMissedRuns: complete crawls in a row a show must be missing
+//                  from before it is reported removed
+export const diffSnapshot = (previous, currentEvents, {
+    crawledVenueIds,
+    today,
+    now = new Date().toISOString(),
+    removeAfterMissedRuns = REMOVED_AFTER_MISSED_RUNS,
+}) => {
+    const before = (previous && previous.events) || {};
+    const crawled = new Set(crawledVenueIds);
+    const nextEvents = {};
+    const added = [];
+    const changed = [];
+    const removed = [];
+
+    const current = new Map();
+    for (const ev of currentEvents) current.set(ev.eventId, ev);
+
+    const unmatchedAfter = [];
+    for (const ev of current.values()) {
+        const prev = before[ev.eventId];
+        const entry = toSnapshotEntry(ev, now, prev);
+        nextEvents[ev.eventId] = entry;
+        if (!prev) {
+            unmatchedAfter.push(entry);
+            continue;
+        }
+        const changes = describeChanges(prev, entry);
+        if (Object.keys(changes).length) changed.push({ eventId: ev.eventId, previousEventId: ev.eventId, venueId: ev.venueId, title: entry.title, eventDate: entry.eventDate, changes });
+    }
+
+    const unmatchedBefore = [];
+    for (const prev of Object.values(before)) {
+        if (current.has(prev.eventId)) continue;
+        if (!crawled.has(prev.venueId)) {
+            nextEvents[prev.eventId] = prev;
+            continue;
+        }
+        if (prev.eventDate && today && prev.eventDate < today) continue;
+        unmatchedBefore.push(prev);
+    }
+
+    const { pairs, usedBefore, usedAfter } = pairMovedEvents(unmatchedBefore, unmatchedAfter);
+    for (const [prev, entry] of pairs) {
+        entry.firstSeenAt = prev.firstSeenAt;
+        changed.push({
+            eventId: entry.eventId,
+            previousEventId: prev.eventId,
+            venueId: entry.venueId,
+            title: entry.title,
+            eventDate: entry.eventDate,
+            changes: describeChanges(prev, entry),
+        });
+    }
+
+    for (const entry of unmatchedAfter) {
+        if (!usedAfter.has(entry.eventId)) added.push(entry);
+    }
+    for (const prev of unmatchedBefore) {
+        if (usedBefore.has(prev.eventId)) continue;
+        const missedRuns = (prev.missedRuns || 0) + 1;
+        if (missedRuns >= removeAfterMissedRuns) removed.push({ ...prev, missedRuns, likelyCancelled: true });
+        else nextEvents[prev.eventId] = { ...prev, missedRuns };
+    }
+
+    return {
+        changes: {
+            generatedAt: now,
+            previousSnapshotAt: previous ? previous.updatedAt : null,
+            crawledVenueIds: Array.from(crawled),
+            counts: { added: added.length, changed: changed.length, removed: removed.length },
+            added,
+            changed,
+            removed,
+        },
+        snapshot: { updatedAt: now, events: nextEvents },
+    };
+};
+
+// Loads the previous snapshot, stores the change set (CHANGES record in the
+// default key-value store + one row per change in the "changes" dataset) and
+// saves the new snapshot. incompleteVenueIds: venues with failed requests
+// this run (src/report.js); their missing shows are not diffed.
+export const recordRunChanges = async ({ events, incompleteVenueIds = [], log }) => {
+    const store = await Actor.openKeyValueStore(SNAPSHOT_STORE_NAME);
+    const previous = await store.getValue(SNAPSHOT_KEY);
+    const incomplete = new Set(incompleteVenueIds);
+    const crawledVenueIds = Array.from(new Set(events.map((ev) => ev.venueId))).filter((id) => !incomplete.has(id));
+
+    const { changes, snapshot } = diffSnapshot(previous, events, { crawledVenueIds, today: toLocalDate(new Date()) });
+    changes.isFirstRun = !previous;
+    changes.incompleteVenueIds = Array.from(incomplete);
+
+    await store.setValue(SNAPSHOT_KEY, snapshot);
+    await Actor.setValue(CHANGES_KEY, changes);
+
+    const rows = [
+        ...changes.added.map((ev) => ({ changeType: 'added', ...ev })),
+        ...changes.changed.map((ch) => ({ changeType: 'changed', ...ch })),
+        ...changes.removed.map((ev) => ({ changeType: 'removed', ...ev })),
+    ].map((row) => ({ ...row, detectedAt: changes.generatedAt }));
+    if (rows.length) {
+        const dataset = await Actor.openDataset(CHANGES_DATASET_NAME);
+        await dataset.pushData(rows);
+    }
+
+    if (!previous) {
+        log.info(`No previous snapshot found; recorded ${changes.counts.added} show(s) as the baseline.`);
+    } else {
+        log.info(`Changes since ${previous.updatedAt}: ${changes.counts.added} new, ${changes.counts.changed} changed, ${changes.counts.removed} removed.`);
+        if (incomplete.size) log.info(`Not checked for removed shows (failed requests): ${changes.incompleteVenueIds.join(', ')}.`);
+    }
+
+    return changes;
+};
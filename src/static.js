@@ -0,0 +1,56 @@
+import { load } from 'cheerio';
+
+// ------------------------------------------------------------------------
+// Static HTML helpers
+// Parsers that declare `browser: false` get a Cheerio document (`$`)
+// instead of a Playwright page. It is loaded with the page URL as base, so
+// `$(a).prop('href')` resolves relative links the way `a.href` does in a
+// browser. The same parse runs on the HTTP response and, as a fallback, on
+// the HTML Playwright rendered (see src/main.js).
+// ------------------------------------------------------------------------
+
+// Elements that start on a line of their own in a rendered page.
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul',
+]);
+
+const SKIPPED_TAGS = new Set(['head', 'noscript', 'template', 'svg', 'iframe']);
+
+export const loadHtml = (html, baseUrl) => load(html || '', baseUrl ? { baseURI: baseUrl } : {});
+
+// Approximates HTMLElement.innerText for a Cheerio selection (the whole
+// body by default): block elements and <br> break lines, whitespace inside
+// a line collapses, empty lines are dropped. Scripts and styles are skipped.
+export const innerText = ($, selection = $('body')) => {
+    const out = [];
+    const walk = (node) => {
+        if (node.type === 'text') {
+            // Line breaks in the source are plain whitespace once rendered.
+            out.push(node.data.replace(/\s+/g, ' '));
+            return;
+        }
+        if (node.type !== 'tag' && node.type !== 'root') return;
+        if (SKIPPED_TAGS.has(node.name)) return;
+        if (node.name === 'br') {
+            out.push('\n');
+            return;
+        }
+        const block = BLOCK_TAGS.has(node.name);
+        if (block) out.push('\n');
+        (node.children || []).forEach(walk);
+        if (block) out.push('\n');
+    };
+    selection.toArray().forEach(walk);
+
+    return out
+        .join('')
+        .split('\n')
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+};
+
+// Like `el.textContent.trim()` in the browser; '' for an empty selection.
+export const textOf = ($el) => ($el && $el.length ? $el.text().trim() : '');
@@ -0,0 +1,189 @@
+// ------------------------------------------------------------------------
+// Antone's Nightclub
+// ------------------------------------------------------------------------
+
+import { readJsonLdEvents } from '../jsonld.js';
+import { splitArtistNames } from '../lineup.js';
+import { mergeOffers, readTicketOffers } from '../offers.js';
+import { readShowLines } from '../showDetails.js';
+
+// ------------------------------------------------------------
+// CALENDAR PAGE
+// Collects event cards (title, date, link) and queues on-site detail pages.
+// Cards that only link out to a ticket vendor are returned directly.
+// A listing that publishes JSON-LD events is used as-is.
+// ------------------------------------------------------------
+const parseCalendar = async ({ page, request, context }) => {
+    const { venueId } = request.userData || {};
+    const sourceUrl = request.loadedUrl || request.url;
+
+    try {
+        await page.waitForSelector('a[href*="/event"], a[href*="/show"], article', { timeout: 10000 });
+    } catch (e) {
+        // ignore
+    }
+
+    const jsonLdEvents = await readJsonLdEvents(page, { baseUrl: sourceUrl });
+    if (jsonLdEvents.length > 1) {
+        return jsonLdEvents.map((ev) => ({ ...ev, sourceUrl: ev.sourceUrl || sourceUrl }));
+    }
+
+    const events = await page.evaluate(() => {
+        const results = [];
+        const seen = new Set();
+        const datePattern = /\b(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+[a-z]{3,9}\.?\s+\d{1,2}\b|\b[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}\b|\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/i;
+
+        const anchors = Array.from(document.querySelectorAll('a[href*="/event/"], a[href*="/events/"], a[href*="/show/"], a[href*="/shows/"]'));
+        for (const a of anchors) {
+            if (a.closest('nav, header, footer, .menu')) continue;
+
+            const url = a.href;
+            if (!url || /\/(events|shows|calendar)\/?(?:[?#].*)?$/i.test(url)) continue;
+
+            const card = a.closest('article, li, .event, .event-item, .eventlist-event, .rhpSingleEvent, .tw-section, [class*="event"]') || a;
+            const titleEl = card.querySelector('h1, h2, h3, h4, .event-title, .eventlist-title, .tw-name, [class*="title"]') || a;
+            const title = (titleEl.textContent || '').replace(/\s+/g, ' ').trim();
+            if (!title || title.length < 2 || /^(buy tickets|tickets|more info|details|rsvp)$/i.test(title)) continue;
+
+            const supportsEl = card.querySelector('.supports, .support, .tw-opening-act, .eventSubHeader, h4 + p');
+            const supportsText = supportsEl ? (supportsEl.textContent || '').replace(/\s+/g, ' ').trim() : null;
+
+            const timeEl = card.querySelector('time');
+            let dateText = timeEl ? (timeEl.getAttribute('datetime') || (timeEl.textContent || '').trim()) : null;
+            if (!dateText) {
+                const m = (card.innerText || '').match(datePattern);
+                dateText = m ? m[0] : null;
+            }
+
+            const key = `${url}|${title}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            results.push({ title, url, dateText, supportsText });
+        }
+
+        return results;
+    });
+
+    if (!events || !events.length) {
+        return [];
+    }
+
+    const pageHost = new URL(sourceUrl).hostname.replace(/^www\./, '');
+    const isOnSite = (url) => {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '') === pageHost;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const detailRequests = events.filter((ev) => isOnSite(ev.url)).map((ev) => ({
+        url: ev.url,
+        userData: {
+            venueId,
+            parserId: 'antonesEvent',
+            calendarDateText: ev.dateText || null,
+            calendarTitle: ev.title || null,
+        },
+    }));
+
+    if (context?.crawler && detailRequests.length > 0) {
+        await context.crawler.addRequests(detailRequests);
+    }
+
+    const queued = new Set(context?.crawler ? detailRequests.map((r) => r.url) : []);
+
+    return events
+        .filter((ev) => !queued.has(ev.url))
+        .map((ev) => ({
+            eventDateRaw: ev.dateText || null,
+            headliner: ev.title,
+            supportingActs: splitArtistNames(ev.supportsText),
+            sourceUrl: ev.url || sourceUrl,
+        }));
+};
+
+// ------------------------------------------------------------
+// EVENT DETAIL PAGE
+// Headliner from the page heading (or calendarTitle), openers from
+// "with ..." lines, date from <time> or the first date-looking line,
+// doors/show times and age from their own lines, offers from JSON-LD plus
+// the page's ticket lines and vendor link.
+// ------------------------------------------------------------
+const parseEvent = async ({ page, request }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+    const { calendarDateText, calendarTitle } = request.userData || {};
+
+    const [structured] = await readJsonLdEvents(page, { baseUrl: sourceUrl });
+    const ticketOffers = await readTicketOffers(page);
+
+    const { headingText, supportsText, dateText, lines } = await page.evaluate(() => {
+        const heading = document.querySelector('h1, .entry-title, .event-title, .tw-name');
+        const hText = heading ? (heading.textContent || '').replace(/\s+/g, ' ').trim() : null;
+
+        const text = document.body.innerText || '';
+        const lines = text
+            .split('\n')
+            .map((t) => t.trim())
+            .filter(Boolean);
+
+        const supportsEl = document.querySelector('.supports, .support, .tw-opening-act, .eventSubHeader');
+        let sText = supportsEl ? (supportsEl.textContent || '').trim() : null;
+        if (!sText) sText = lines.find((l) => /^(with|w\/|featuring|special guests?)\s+/i.test(l) && l.length < 200) || null;
+
+        const timeEl = document.querySelector('time[datetime], time');
+        let dText = timeEl ? (timeEl.getAttribute('datetime') || (timeEl.textContent || '').trim()) : null;
+        if (!dText) {
+            dText = lines.find((l) => /^(?:[A-Za-z]+,?\s+)?[A-Za-z]{3,9}\.?\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?$/.test(l)) || null;
+        }
+
+        return { headingText: hText, supportsText: sText, dateText: dText, lines };
+    });
+    const { timeText, ageRestriction } = readShowLines(lines);
+
+    const headliner = calendarTitle || headingText || null;
+    const supportingActs = splitArtistNames((supportsText || '').replace(/\.$/, '')).filter((s) => s.length < 100);
+
+    if (structured) {
+        const offers = mergeOffers(structured.offers, ticketOffers);
+        return [
+            {
+                ...structured,
+                ticketUrl: structured.ticketUrl || (offers && offers.url) || null,
+                offers,
+                eventDateRaw: structured.eventDateRaw || dateText || calendarDateText || null,
+                timeText,
+                ageRestriction: structured.ageRestriction || ageRestriction,
+                headliner: headliner || structured.headliner,
+                supportingActs: supportingActs.length ? supportingActs : structured.supportingActs,
+                sourceUrl,
+            },
+        ];
+    }
+
+    return [
+        {
+            eventDateRaw: dateText || calendarDateText || null,
+            timeText,
+            ageRestriction,
+            headliner,
+            supportingActs,
+            sourceUrl,
+            ticketUrl: ticketOffers ? ticketOffers.url || null : null,
+            offers: ticketOffers,
+        },
+    ];
+};
+
+export const venue = {
+    id: 'antones',
+    name: "Antone's Nightclub",
+    startUrl: 'https://antonesnightclub.com/calendar/',
+    timezone: 'America/Chicago',
+    defaultParserId: 'antones',
+    parsers: {
+        antones: { type: 'calendar', parse: parseCalendar },
+        antonesEvent: { type: 'detail', parse: parseEvent },
+    },
+};
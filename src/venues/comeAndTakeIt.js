@@ -0,0 +1,196 @@
+// ------------------------------------------------------------------------
+// Come and Take It Productions
+// ------------------------------------------------------------------------
+
+import { splitArtistNames } from '../lineup.js';
+import { readTicketOffers } from '../offers.js';
+import { readShowLines } from '../showDetails.js';
+
+// ------------------------------------------------------------
+// CALENDAR PAGE
+// Enumerates every listed show and queues its event page with the
+// calendar title/date, the same way Parish and Stubb's do.
+// ------------------------------------------------------------
+const parseCalendar = async ({ page, request, context }) => {
+    const { venueId } = request.userData || {};
+
+    try {
+        await page.waitForSelector('a[href*="/event"]', { timeout: 10000 });
+    } catch (e) {
+        // ignore
+    }
+
+    const events = await page.$$eval('a[href*="/event/"], a[href*="/events/"]', (anchors) => {
+        const seen = new Set();
+        const result = [];
+        const datePattern = /\b(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+[a-z]{3,9}\.?\s+\d{1,2}\b|\b[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}\b/i;
+
+        for (const a of anchors) {
+            if (a.closest('nav, header, footer, .menu')) continue;
+
+            const url = a.href;
+            if (!url || /\/events?\/?(?:[?#].*)?$/i.test(url)) continue;
+
+            const card = a.closest('article, li, .event, .type-tribe_events, .tribe-events-calendar-list__event, .eventlist-event, [class*="event-item"]') || a;
+            const titleEl = card.querySelector('h1, h2, h3, h4, .entry-title, .event-title, [class*="title"]') || a;
+            const title = (titleEl.textContent || '').replace(/\s+/g, ' ').trim();
+            if (!title || title.length < 3 || /^(buy tickets|tickets|more info|details|read more|upcoming events)$/i.test(title)) continue;
+
+            const timeEl = card.querySelector('time');
+            let dateText = timeEl ? (timeEl.getAttribute('datetime') || (timeEl.textContent || '').trim()) : null;
+            if (!dateText) {
+                const m = (card.innerText || '').match(datePattern);
+                dateText = m ? m[0] : null;
+            }
+
+            // One card usually links the same page from its image, title and button.
+            if (seen.has(url)) continue;
+            seen.add(url);
+
+            result.push({ title, url, dateText });
+        }
+
+        return result;
+    });
+
+    if (!events || !events.length) {
+        return [];
+    }
+
+    const detailRequests = events.map((ev) => ({
+        url: ev.url,
+        userData: {
+            venueId,
+            parserId: 'comeAndTakeItEvent',
+            calendarDateText: ev.dateText || null,
+            calendarTitle: ev.title || null,
+        },
+    }));
+
+    if (context?.crawler && detailRequests.length > 0) {
+        await context.crawler.addRequests(detailRequests);
+        return [];
+    }
+
+    return events.map(ev => ({ eventDateRaw: ev.dateText || null, headliner: ev.title, supportingActs: [], sourceUrl: ev.url }));
+};
+
+// ------------------------------------------------------------
+// EVENT PAGE
+// Uses "Come and Take It Productions presents" block to get lineup; the
+// doors/show, age and ticket lines the lineup stops at are kept too.
+// ------------------------------------------------------------
+const parseEvent = async ({ page, request }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+    const { calendarDateText, calendarTitle } = request.userData || {};
+
+    const { lineup, fullDate, headingTitle, allLines } = await page.evaluate(() => {
+        const text = document.body.innerText || '';
+        const allLines = text
+            .split('\n')
+            .map((t) => t.trim())
+            .filter(Boolean);
+
+        const heading = document.querySelector('h1, .entry-title');
+        const headingTitle = heading?.textContent?.trim() || null;
+
+        let eventDateFull = null;
+        for (const line of allLines) {
+            if (/^[A-Za-z]+,\s+[A-Za-z]+\s+\d{1,2}$/.test(line)) {
+                eventDateFull = line;
+                break;
+            }
+        }
+
+        const startIndex = allLines.findIndex((line) =>
+            /Come and Take It Productions presents/i.test(line),
+        );
+
+        const stopPattern = /^(tickets|event details|details|venue info|time:|doors|show:|ages|admission|onsale)/i;
+
+        const lineupLines = [];
+        if (startIndex !== -1) {
+            for (let i = startIndex + 1; i < allLines.length; i++) {
+                const line = allLines[i];
+                if (!line) continue;
+
+                if (/^www\./i.test(line)) break;
+                if (stopPattern.test(line)) break;
+                if (line.length > 80) break;
+
+                lineupLines.push(line);
+
+                // Prevent walking too far down unrelated sections
+                if (lineupLines.length >= 8) break;
+            }
+        }
+
+        return {
+            lineup: lineupLines,
+            fullDate: eventDateFull,
+            headingTitle,
+            allLines,
+        };
+    });
+    const { timeText, ageRestriction } = readShowLines(allLines);
+
+    const offers = await readTicketOffers(page);
+
+    const normalizeName = (name) => name.replace(/\s+/g, ' ').replace(/^[–-]\s*/, '').trim();
+
+    const candidateNames = [];
+    for (const rawLine of lineup || []) {
+        const line = normalizeName(rawLine);
+        if (!line) continue;
+
+        const parts = splitArtistNames(line)
+            .map((p) => normalizeName(p))
+            .filter(Boolean);
+
+        for (const part of parts) {
+            const wordCount = part.split(/\s+/).length;
+            if (wordCount > 8) continue;
+            if (/^(tickets|event details|details|venue info|time:|doors|show:|ages|admission)/i.test(part)) continue;
+            if (/[0-9]:[0-9]{2}\s*(am|pm)/i.test(part)) continue;
+            candidateNames.push(part);
+        }
+    }
+
+    const uniqueNames = Array.from(new Set(candidateNames));
+
+    let headliner = uniqueNames[0] || null;
+    const supportingActs = uniqueNames.slice(1);
+
+    if (!headliner && calendarTitle) {
+        headliner = calendarTitle.replace(/Come and Take It Productions presents:?\s*/i, '').trim();
+    }
+
+    if (!headliner && headingTitle) {
+        headliner = headingTitle.replace(/Come and Take It Productions presents:?\s*/i, '').trim();
+    }
+
+    return [
+        {
+            eventDateRaw: fullDate || calendarDateText || null,
+            timeText,
+            ageRestriction,
+            headliner,
+            supportingActs,
+            sourceUrl,
+            ticketUrl: offers ? offers.url || null : null,
+            offers,
+        },
+    ];
+};
+
+export const venue = {
+    id: 'comeAndTakeIt',
+    name: 'Come and Take It Productions',
+    startUrl: 'https://comeandtakeitproductions.com/calendar/',
+    timezone: 'America/Chicago',
+    defaultParserId: 'comeAndTakeIt',
+    parsers: {
+        comeAndTakeIt: { type: 'calendar', parse: parseCalendar },
+        comeAndTakeItEvent: { type: 'detail', parse: parseEvent },
+    },
+};
@@ -0,0 +1,214 @@
+// ------------------------------------------------------------------------
+// Configured venues
+// Builds a venue module at runtime from an input entry, so small venues can
+// be onboarded without code:
+//   {
+//     "id": "hotelVegas",
+//     "startUrl": "https://texashotelvegas.com/calendar/",
+//     "selectors": {
+//       "card": ".event",              // one element per show (required)
+//       "title": "h3",                 // headliner / show title (required)
+//       "supports": ".openers",        // every match is read
+//       "date": "time@datetime",       // "selector@attribute" reads an attribute
+//       "time": ".doors",              // "Doors 7pm / Show 8pm"
+//       "age": ".ages",                // "21+", "All Ages"
+//       "room": ".stage",              // room or stage within the venue
+//       "link": "a@href",              // "@href" reads it from the card itself
+//       "detail": { "title": "h1", "supports": ".lineup li", "date": ".date", "time": ".times" }
+//     },
+//     "split": "list"                  // how supports text becomes names
+//   }
+// With `selectors.detail` and a link, cards are queued as detail requests
+// (parser id "<id>Event"); otherwise the calendar cards are the result.
+// ------------------------------------------------------------------------
+
+import { DEFAULT_TIME_ZONE } from '../dates.js';
+import { splitArtistNames } from '../lineup.js';
+import { readTicketOffers } from '../offers.js';
+import { parseAgeRestriction } from '../showDetails.js';
+
+// list:  "with A, B & C" -> three names (src/lineup.js rules)
+// lines: one name per line of text
+// none:  every matched element is one name
+export const SPLIT_STRATEGIES = ['list', 'lines', 'none'];
+
+const FIELD_NAMES = ['title', 'supports', 'date', 'time', 'age', 'room', 'link'];
+
+const splitSupports = (texts, strategy) => {
+    const names = [];
+    for (const raw of texts || []) {
+        const text = String(raw || '').trim();
+        if (!text) continue;
+        if (strategy === 'none') {
+            names.push(text);
+        } else if (strategy === 'lines') {
+            names.push(...text.split(/\r?\n/));
+        } else {
+            names.push(...splitArtistNames(text));
+        }
+    }
+    return Array.from(new Set(names.map((n) => n.replace(/\s+/g, ' ').trim()).filter(Boolean)));
+};
+
+// Runs in the browser (page.$$eval): reads `fields` from every root element.
+// A field is "selector", "selector@attribute" or "@attribute" (the root itself).
+const readCardsInPage = (roots, fields) => {
+    const read = (root, spec, all) => {
+        if (!spec) return all ? [] : null;
+        const at = spec.lastIndexOf('@');
+        const selector = (at === -1 ? spec : spec.slice(0, at)).trim();
+        const attribute = at === -1 ? null : spec.slice(at + 1).trim();
+
+        const elements = selector ? Array.from(root.querySelectorAll(selector)) : [root];
+        const values = elements.map((el) => {
+            if (!attribute) return (el.innerText || el.textContent || '').replace(/[ \t\u00A0]+/g, ' ').trim();
+            // Properties resolve relative links against the page URL.
+            if ((attribute === 'href' || attribute === 'src') && el[attribute]) return el[attribute];
+            return (el.getAttribute(attribute) || '').trim();
+        }).filter(Boolean);
+
+        return all ? values : values[0] || null;
+    };
+
+    return roots.map((root) => ({
+        title: read(root, fields.title, false),
+        supports: read(root, fields.supports, true),
+        date: read(root, fields.date, false),
+        time: read(root, fields.time, false),
+        age: read(root, fields.age, false),
+        room: read(root, fields.room, false),
+        link: read(root, fields.link, false),
+    }));
+};
+
+const validateSelectors = (id, selectors) => {
+    if (!selectors || typeof selectors !== 'object') throw new Error(`Venue "${id}" has no selectors.`);
+    if (!selectors.card) throw new Error(`Venue "${id}" needs a "card" selector.`);
+    if (!selectors.title) throw new Error(`Venue "${id}" needs a "title" selector.`);
+    for (const [name, spec] of Object.entries(selectors)) {
+        if (name === 'detail' || name === 'card') continue;
+        if (!FIELD_NAMES.includes(name)) throw new Error(`Venue "${id}" has an unknown selector "${name}".`);
+        if (typeof spec !== 'string') throw new Error(`Selector "${name}" of venue "${id}" must be a string.`);
+    }
+    if (selectors.detail === undefined) return;
+    if (!selectors.detail || typeof selectors.detail !== 'object') throw new Error(`Detail selectors of venue "${id}" must be an object.`);
+    for (const [name, spec] of Object.entries(selectors.detail)) {
+        if (!FIELD_NAMES.includes(name) || name === 'link') throw new Error(`Venue "${id}" has an unknown detail selector "${name}".`);
+        if (typeof spec !== 'string') throw new Error(`Detail selector "${name}" of venue "${id}" must be a string.`);
+    }
+};
+
+// Returns a venue module (see src/venues/index.js) for an input entry.
+// Throws when the configuration is unusable.
+export const buildConfiguredVenue = (config) => {
+    const { id, name, startUrl, timezone = DEFAULT_TIME_ZONE, selectors, split = 'list' } = config || {};
+    if (!id) throw new Error('Configured venue needs an id.');
+    if (!startUrl) throw new Error(`Venue "${id}" needs a startUrl.`);
+    validateSelectors(id, selectors);
+    if (!SPLIT_STRATEGIES.includes(split)) {
+        throw new Error(`Venue "${id}" has an unknown split strategy "${split}" (expected ${SPLIT_STRATEGIES.join(', ')}).`);
+    }
+
+    const calendarFields = Object.fromEntries(FIELD_NAMES.map((f) => [f, selectors[f]]));
+    const detailFields = selectors.detail || null;
+    const detailParserId = `${id}Event`;
+
+    const toItem = (ev, sourceUrl) => ({
+        headliner: ev.title,
+        supportingActs: splitSupports(ev.supports, split),
+        eventDateRaw: ev.date || null,
+        timeText: ev.time || null,
+        ageRestriction: parseAgeRestriction(ev.age),
+        room: ev.room || null,
+        sourceUrl: ev.link || sourceUrl,
+    });
+
+    // ------------------------------------------------------------
+    // CALENDAR PAGE
+    // ------------------------------------------------------------
+    const parseCalendar = async ({ page, request, context }) => {
+        const { venueId } = request.userData || {};
+        const sourceUrl = request.loadedUrl || request.url;
+
+        try {
+            await page.waitForSelector(selectors.card, { timeout: 10000 });
+        } catch (e) {
+            // ignore
+        }
+
+        const cards = await page.$$eval(selectors.card, readCardsInPage, calendarFields);
+
+        const seen = new Set();
+        const events = cards.filter((card) => {
+            if (!card.title) return false;
+            const key = `${card.link || ''}|${card.title}|${card.date || ''}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        if (detailFields && context?.crawler) {
+            const detailRequests = events.filter((ev) => ev.link).map((ev) => ({
+                url: ev.link,
+                userData: {
+                    venueId,
+                    parserId: detailParserId,
+                    calendarTitle: ev.title,
+                    calendarSupports: ev.supports,
+                    calendarDateText: ev.date || null,
+                    calendarTimeText: ev.time || null,
+                    calendarAgeText: ev.age || null,
+                    calendarRoom: ev.room || null,
+                },
+            }));
+            if (detailRequests.length) {
+                await context.crawler.addRequests(detailRequests);
+                return events
+                    .filter((ev) => !ev.link)
+                    .map((ev) => toItem(ev, sourceUrl));
+            }
+        }
+
+        return events.map((ev) => toItem(ev, sourceUrl));
+    };
+
+    // ------------------------------------------------------------
+    // EVENT DETAIL PAGE
+    // Detail fields win; the calendar card fills whatever is missing.
+    // Offers come from the page's ticket lines and vendor link.
+    // ------------------------------------------------------------
+    const parseEvent = async ({ page, request }) => {
+        const sourceUrl = request.loadedUrl || request.url;
+        const { calendarTitle, calendarSupports, calendarDateText, calendarTimeText, calendarAgeText, calendarRoom } = request.userData || {};
+
+        const [found] = await page.$$eval('html', readCardsInPage, { ...detailFields, link: null });
+
+        const supports = found.supports.length ? found.supports : calendarSupports;
+        const offers = await readTicketOffers(page);
+        return [
+            {
+                headliner: found.title || calendarTitle || null,
+                supportingActs: splitSupports(supports, split),
+                eventDateRaw: found.date || calendarDateText || null,
+                timeText: found.time || calendarTimeText || null,
+                ageRestriction: parseAgeRestriction(found.age || calendarAgeText),
+                room: found.room || calendarRoom || null,
+                sourceUrl,
+                ticketUrl: offers ? offers.url || null : null,
+                offers,
+            },
+        ];
+    };
+
+    const parsers = { [id]: { type: 'calendar', parse: parseCalendar } };
+    if (detailFields) parsers[detailParserId] = { type: 'detail', parse: parseEvent };
+
+    return {
+        id,
+        name: name || id,
+        startUrl,
+        timezone,
+        defaultParserId: id,
+        parsers,
+    };
+};
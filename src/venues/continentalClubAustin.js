@@ -0,0 +1,165 @@
+// ------------------------------------------------------------------------
+// Continental Club Austin
+// The calendar is a Timely embed (see ./timely.js); the ids are pinned so
+// the API is queried without a discovery round trip.
+// ------------------------------------------------------------------------
+
+import { buildTimelyVenue } from './timely.js';
+
+// ------------------------------------------------------------
+// Site markup, used when neither the Timely API nor the month view answer
+// ------------------------------------------------------------
+const parseVenuePage = async ({ page, request, context, detailParserId }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+
+    try {
+        await page.waitForSelector('body, .timely-event, .event-excerpt, .event-item, .sqs-block-calendar, .events-collection-list, .event, .event-list', { timeout: 7000 });
+    } catch (e) {
+        // ignore
+    }
+
+    const rows = await page.evaluate(() => {
+        const results = [];
+
+        function pushIfValid(title, url, dateText) {
+            if (!title) return;
+            const key = `${url || ''}|${title}`;
+            results.push({ title: title.trim(), url: url || null, dateText: dateText || null, key });
+        }
+
+        const timely = Array.from(document.querySelectorAll('.timely-event'));
+        if (timely.length) {
+            timely.forEach((node) => {
+                if (node.closest && node.closest('nav, .menu, .site-navigation, .main-nav')) return;
+                const titleEl = node.querySelector('.timely-event-title-text') || node.querySelector('.title') || node.querySelector('h2, h3, h4');
+                let title = titleEl ? (titleEl.textContent || '').trim() : null;
+                const timeEl = titleEl ? titleEl.querySelector('.timely-event-time') : null;
+                if (timeEl) {
+                    const t = (timeEl.textContent || '').trim();
+                    title = title ? title.replace(t, '').trim() : title;
+                }
+
+                const linkEl = node.querySelector('a[href]');
+                const url = linkEl ? linkEl.href : null;
+
+                let dateText = null;
+                const aria = node.getAttribute && node.getAttribute('aria-label');
+                if (aria) {
+                    const parts = aria.split(',').map(p => p.trim()).filter(Boolean);
+                    const last = parts[parts.length - 1];
+                    if (/\d{4}$/.test(last)) dateText = last;
+                }
+
+                const timeElement = node.querySelector('time');
+                if (!dateText && timeElement) dateText = timeElement.getAttribute('datetime') || (timeElement.textContent || '').trim();
+
+                pushIfValid(title, url, dateText);
+            });
+            const map = new Map();
+            results.forEach(r => map.set(r.key, r));
+            return Array.from(map.values()).map(({title, url, dateText}) => ({ title, url, dateText }));
+        }
+
+        const candidates = Array.from(document.querySelectorAll('article, li, .event, .event-item, .listing-item, .show, .post'));
+        if (candidates.length) {
+            candidates.forEach((node) => {
+                if (node.closest && node.closest('nav, .menu, .site-navigation, .main-nav')) return;
+                const titleEl = node.querySelector('h1, h2, h3, h4, .title, .entry-title, .event-title, a.event-title') || node.querySelector('a');
+                const title = titleEl ? (titleEl.textContent || '').trim() : null;
+                const linkEl = (titleEl && titleEl.tagName === 'A') ? titleEl : node.querySelector('a[href]');
+                const url = linkEl ? linkEl.href : null;
+
+                const timeEl = node.querySelector('time, .date, .event-date, .posted-on');
+                const dateText = timeEl ? (timeEl.getAttribute('datetime') || (timeEl.textContent || '').trim()) : null;
+
+                const tLow = (title || '').toLowerCase();
+                const deny = ['about', 'contact', 'gallery', 'shop', 'welcome', 'home', 'contact us', 'austin shop', 'houston shop', 'austin tickets'];
+                if (tLow && deny.includes(tLow)) return;
+
+                pushIfValid(title, url, dateText);
+            });
+            const map = new Map();
+            results.forEach(r => map.set(r.key, r));
+            return Array.from(map.values()).map(({title, url, dateText}) => ({ title, url, dateText }));
+        }
+
+        const text = document.body ? (document.body.innerText || '') : '';
+        if (text) {
+            const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i];
+                if (/\b\d{4}$/.test(line)) {
+                    const next = lines[i+1] || null;
+                    if (next && next.length > 0 && next.length < 80) {
+                        pushIfValid(next, null, line);
+                    }
+                }
+            }
+        }
+
+        const map = new Map();
+        results.forEach(r => map.set(r.key, r));
+        return Array.from(map.values()).map(({title, url, dateText}) => ({ title, url, dateText }));
+    });
+
+    const withUrls = (rows || []).filter(r => r.url);
+    const { venueId } = request.userData || {};
+
+    const likelyEvent = (url) => {
+        if (!url) return false;
+        try {
+            const u = new URL(url);
+            const path = (u.pathname || '').toLowerCase();
+            const deny = ['/', '/about', '/contact', '/gallery', '/shop', '/austintickets', '/houston', '/bigtop'];
+            if (deny.includes(path)) return false;
+            if (/tm-event|\/event(?:s)?\/|\bshow\b|ticket|tickets|performance|gig|lineup/i.test(path + (u.search||''))) return true;
+            if (/\b\d{4}\b/.test(url) || /\b\d{1,2}[-\/]\d{1,2}\b/.test(url)) return true;
+            if (path.includes('/austin/') && path.split('/').filter(Boolean).length > 2) return true;
+            return false;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const filtered = withUrls.filter((ev) => likelyEvent(ev.url));
+
+    let queuedDetails = false;
+    if (filtered.length && context?.crawler) {
+        const detailRequests = filtered.map((ev) => ({
+            url: ev.url,
+            userData: {
+                venueId,
+                parserId: detailParserId,
+                calendarDateText: ev.dateText || null,
+                calendarTitle: ev.title || null,
+            },
+        }));
+
+        if (detailRequests.length) {
+            await context.crawler.addRequests(detailRequests);
+            queuedDetails = true;
+        }
+    }
+
+    if (queuedDetails) return [];
+
+    return (rows || []).flatMap((r) => {
+        if (!r.title) return [];
+        return [{ eventDateRaw: r.dateText || null, headliner: r.title, supportingActs: [], sourceUrl }];
+    });
+};
+
+export const venue = buildTimelyVenue({
+    id: 'continentalClubAustin',
+    name: 'Continental Club Austin',
+    startUrl: 'https://continentalclub.com/austin/',
+    timezone: 'America/Chicago',
+    timely: {
+        calendarId: '54714987',
+        venues: ['678194628'],
+        embedSlug: '74avt53i',
+    },
+}, {
+    parserIds: { calendar: 'continentalClubAustin', detail: 'continentalClubEvent' },
+    parseVenuePage,
+});
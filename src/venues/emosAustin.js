@@ -0,0 +1,13 @@
+// ------------------------------------------------------------------------
+// Emo's Austin
+// Live Nation shows page (see ./liveNation.js).
+// ------------------------------------------------------------------------
+
+import { buildLiveNationVenue } from './liveNation.js';
+
+export const venue = buildLiveNationVenue({
+    id: 'emosAustin',
+    name: "Emo's Austin",
+    startUrl: 'https://www.emosaustin.com/shows/',
+    timezone: 'America/Chicago',
+});
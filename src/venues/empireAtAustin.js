@@ -0,0 +1,17 @@
+// ------------------------------------------------------------------------
+// Empire Control Room & Garage
+// Modern Events Calendar site (see ./mec.js). Titles name the room the
+// show is in ("... in the Control Room").
+// ------------------------------------------------------------------------
+
+import { buildMecVenue } from './mec.js';
+
+export const venue = buildMecVenue({
+    id: 'empireAtAustin',
+    name: 'Empire Control Room & Garage',
+    startUrl: 'https://empireatx.com/calendar/',
+    timezone: 'America/Chicago',
+}, {
+    parserIds: { calendar: 'empireAtAustin', detail: 'empireAtAustinEvent' },
+    rooms: ['Control Room', 'Garage'],
+});
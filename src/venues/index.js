@@ -0,0 +1,80 @@
+// ------------------------------------------------------------------------
+// Venue registry
+// Each venue lives in its own module under src/venues/ and exports
+// `venue = { id, name, startUrl, timezone, defaultParserId, parsers }`, where
+// `parsers` maps a parser id to `{ type: 'calendar' | 'detail', browser, parse }`.
+// Parser ids are global: the crawler looks them up from request.userData.
+//
+// `parse` gets `{ page, request, context, log }` with a Playwright page.
+// Parsers whose data is in the served HTML declare `browser: false` and get
+// `{ $, request, context, log }` with a Cheerio document instead (see
+// src/static.js); they run on a plain HTTP fetch and only fall back to the
+// browser when that yields nothing.
+//
+// Parsers return either:
+//   - [{ headliner, supportingActs, eventDateRaw, sourceUrl }]
+//   - [{ lineup, eventDateRaw, sourceUrl }] with an ordered lineup from
+//     src/lineup.js (parseLineup), headliner first
+//   - or an empty array (used for calendar pages that only queue detail URLs)
+// Splitting names is left to src/lineup.js so connector handling and the
+// protected-name list stay in one place.
+//
+// To add a venue, create its module and list it in `builtInVenues` below.
+// Venues on a Timely, Modern Events Calendar or Live Nation site are built
+// from an adapter (./timely.js, ./mec.js, ./liveNation.js); Timely ones also
+// work from input alone.
+// ------------------------------------------------------------------------
+
+import { venue as antones } from './antones.js';
+import { venue as comeAndTakeIt } from './comeAndTakeIt.js';
+import { venue as continentalClubAustin } from './continentalClubAustin.js';
+import { venue as emosAustin } from './emosAustin.js';
+import { venue as empireAtAustin } from './empireAtAustin.js';
+import { venue as mohawkAustin } from './mohawkAustin.js';
+import { venue as parishAustin } from './parishAustin.js';
+import { venue as scootInn } from './scootInn.js';
+import { venue as stubbsAustin } from './stubbsAustin.js';
+
+const builtInVenues = [
+    mohawkAustin,
+    comeAndTakeIt,
+    continentalClubAustin,
+    parishAustin,
+    empireAtAustin,
+    stubbsAustin,
+    emosAustin,
+    scootInn,
+    antones,
+];
+
+const venuesById = new Map();
+const parsersById = new Map();
+
+export const registerVenue = (venue) => {
+    if (!venue || !venue.id) throw new Error('Venue module must export an id.');
+    if (venuesById.has(venue.id)) throw new Error(`Venue "${venue.id}" is already registered.`);
+
+    for (const [parserId, parser] of Object.entries(venue.parsers || {})) {
+        if (parsersById.has(parserId)) {
+            throw new Error(`Parser "${parserId}" of venue "${venue.id}" is already registered by venue "${parsersById.get(parserId).venueId}".`);
+        }
+        if (typeof parser.parse !== 'function') {
+            throw new Error(`Parser "${parserId}" of venue "${venue.id}" has no parse function.`);
+        }
+    }
+
+    venuesById.set(venue.id, venue);
+    for (const [parserId, parser] of Object.entries(venue.parsers || {})) {
+        parsersById.set(parserId, { ...parser, id: parserId, venueId: venue.id });
+    }
+};
+
+builtInVenues.forEach(registerVenue);
+
+export const getVenue = (id) => venuesById.get(id) || null;
+
+export const getParser = (parserId) => parsersById.get(parserId) || null;
+
+export const listVenues = () => Array.from(venuesById.values());
+
+export const listParserIds = () => Array.from(parsersById.keys());
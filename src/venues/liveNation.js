@@ -0,0 +1,108 @@
+// ------------------------------------------------------------------------
+// Live Nation venue sites
+// Builds a venue module for a Live Nation "/shows/" listing (Next.js):
+//   buildLiveNationVenue(
+//     { id, name, startUrl, timezone },
+//     { parserId: 'scootInn', rooms: [{ name: 'Outdoor Stage', match: ['Lawn'] }] },
+//   )
+// The parser reads the page's JSON-LD events (src/jsonld.js) and falls back
+// to the event cards (title, link, <time>, age line) when there are none.
+// No detail page is opened.
+//
+// Options:
+//   parserId  keeps an existing parser id stable ("<id>" by default)
+//   rooms     stages of a venue that has several (src/showDetails.js
+//             findRoom); read from the JSON-LD location or the card's venue
+//             line and kept as the show's `room`
+// ------------------------------------------------------------------------
+
+import { DEFAULT_TIME_ZONE } from '../dates.js';
+import { readJsonLdEventsFromHtml } from '../jsonld.js';
+import { findRoom, parseAgeRestriction } from '../showDetails.js';
+import { textOf } from '../static.js';
+
+const CARD_SELECTORS = [
+    '[data-automation="event-card"]',
+    '[data-automation="show-card"]',
+    'a[href*="/event/"]',
+    'a[href*="ticketmaster.com"]',
+];
+
+// Card markup -> [{ headliner, supportingActs, eventDateRaw, ageRestriction, room?, sourceUrl }]
+const readShowCards = ($, { sourceUrl, rooms }) => {
+    const events = [];
+    const seen = new Set();
+
+    const pushRow = (name, url, dateRaw, details) => {
+        if (!name) return;
+        const key = `${name.toLowerCase()}|${url || ''}|${dateRaw || ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        events.push({
+            headliner: name.trim(),
+            supportingActs: [],
+            eventDateRaw: dateRaw || null,
+            ageRestriction: details.ageRestriction || null,
+            ...(rooms.length ? { room: details.room || null } : {}),
+            sourceUrl: url || sourceUrl,
+        });
+    };
+
+    for (const el of $(CARD_SELECTORS.join(',')).toArray()) {
+        const card = $(el);
+        const titleEl = card.find('h3, h4, h2, .chakra-heading, .title').first();
+        const title = textOf(titleEl.length ? titleEl : card) || null;
+
+        const linkEl = el.tagName === 'a' ? card : card.find('a[href]').first();
+        const url = linkEl.length ? linkEl.prop('href') : null;
+
+        const dateEl = card.find('time').first();
+        const dateRaw = dateEl.length ? (dateEl.attr('datetime') || textOf(dateEl)) : null;
+
+        pushRow(title, url, dateRaw, {
+            ageRestriction: parseAgeRestriction(textOf(card.find('[data-automation="age-restriction"], .age-restriction, .ages').first())),
+            room: findRoom([textOf(card.find('[data-automation="venue"], .venue, .stage').first())], rooms),
+        });
+    }
+
+    return events;
+};
+
+export const buildLiveNationVenue = (config, { parserId, rooms = [] } = {}) => {
+    const { id, name, startUrl, timezone = DEFAULT_TIME_ZONE } = config || {};
+    if (!id) throw new Error('Live Nation venue needs an id.');
+    if (!startUrl) throw new Error(`Venue "${id}" needs a startUrl.`);
+
+    const showsParserId = parserId || id;
+
+    // ------------------------------------------------------------
+    // SHOWS PAGE (JSON-LD first, card markup as fallback)
+    // ------------------------------------------------------------
+    const parseShows = async ({ $, request }) => {
+        const sourceUrl = request.loadedUrl || request.url;
+
+        const jsonLdEvents = readJsonLdEventsFromHtml($, { baseUrl: sourceUrl });
+        if (jsonLdEvents.length) {
+            return jsonLdEvents.map((ev) => ({
+                ...ev,
+                ...(rooms.length ? { room: findRoom([ev.location && ev.location.name], rooms) } : {}),
+                sourceUrl: ev.sourceUrl || sourceUrl,
+            }));
+        }
+
+        return readShowCards($, { sourceUrl, rooms });
+    };
+
+    return {
+        id,
+        name: name || id,
+        startUrl,
+        timezone,
+        defaultParserId: showsParserId,
+        // Older configs point at /shows/calendar/; the parser expects the /shows/ listing.
+        normalizeStartUrl: (url) => url.replace(/\/shows\/calendar\/?$/i, '/shows/'),
+        parsers: {
+            [showsParserId]: { type: 'calendar', browser: false, parse: parseShows },
+        },
+    };
+};
@@ -0,0 +1,223 @@
+// ------------------------------------------------------------------------
+// Modern Events Calendar (MEC)
+// Builds a venue module for a WordPress site running the MEC plugin:
+//   buildMecVenue(
+//     { id, name, startUrl, timezone },
+//     { parserIds: { calendar, detail }, rooms: ['Control Room', 'Garage'] },
+//   )
+// The calendar parser reads MEC's list/grid articles (title, link, date and
+// time) and queues each event page; the detail parser reads the event's
+// JSON-LD (MEC prints one per single event) and MEC's own markup for the
+// start date and time, location, cost and categories. The lineup comes from
+// the title plus "with ..." lines in the description; doors/show times and
+// the age limit from the description's own lines.
+//
+// Options:
+//   parserIds  keep existing parser ids stable ("<id>" / "<id>Event" by default)
+//   rooms      room names a venue appends to titles ("... in the Garage");
+//              they are stripped from act names and kept as the show's
+//              `room` (also read from its categories and location)
+// ------------------------------------------------------------------------
+
+import { DEFAULT_TIME_ZONE } from '../dates.js';
+import { readJsonLdEventsFromHtml } from '../jsonld.js';
+import { parseLineup, splitArtistNames } from '../lineup.js';
+import { mergeOffers, parseTicketLines, readTicketOffersFromHtml } from '../offers.js';
+import { findRoom, readShowLines } from '../showDetails.js';
+import { innerText, textOf } from '../static.js';
+
+// One article per show in MEC's list, grid, card and agenda skins.
+const MEC_ARTICLE = 'article.mec-event-article, .mec-event-list-classic .mec-event-article, .mec-event-grid-classic article, .mec-event-card';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "in the Control Room", "at Empire Garage", "- Garage"
+const roomSuffixPattern = (rooms) => {
+    const names = (rooms || []).map((r) => escapeRegExp(String(r).trim())).filter(Boolean);
+    if (!names.length) return null;
+    return new RegExp(`\\s*(?:[-\\u2013|@]|\\b(?:in|at|on))\\s+(?:the\\s+)?(?:[\\w'&]+\\s+)?(?:${names.join('|')})\\b.*$`, 'i');
+};
+
+// Start of "8:00 pm - 11:30 pm"; MEC prints "All Day" for untimed events.
+const startTimeOf = (text) => {
+    const s = String(text || '').trim();
+    if (!s || /all\s*day/i.test(s)) return null;
+    return s.split(/\s+[-–]\s+/)[0] || null;
+};
+
+const readSingleMarkup = ($) => {
+    const location = $('.mec-single-event-location').first();
+    const locationName = textOf(location.find('.author.fn.org, h6, dd').first()) || null;
+    const address = textOf(location.find('.mec-address, address').first()) || null;
+
+    const categories = $('.mec-single-event-category a, .mec-single-event-category dd, .mec-category a')
+        .toArray()
+        .map((el) => textOf($(el)))
+        .filter(Boolean);
+
+    return {
+        dateText: textOf($('.mec-single-event-date .mec-start-date-label, .mec-single-event-date dd, .mec-start-date-label').first()) || null,
+        timeText: startTimeOf(textOf($('.mec-single-event-time .mec-events-abbr, .mec-single-event-time dd').first())),
+        location: locationName || address ? { name: locationName, address } : null,
+        costText: textOf($('.mec-event-cost .mec-events-event-cost, .mec-event-cost dd').first()) || null,
+        categories: Array.from(new Set(categories)),
+    };
+};
+
+export const buildMecVenue = (config, { parserIds = {}, rooms = [] } = {}) => {
+    const { id, name, startUrl, timezone = DEFAULT_TIME_ZONE } = config || {};
+    if (!id) throw new Error('MEC venue needs an id.');
+    if (!startUrl) throw new Error(`Venue "${id}" needs a startUrl.`);
+
+    const calendarParserId = parserIds.calendar || id;
+    const detailParserId = parserIds.detail || `${id}Event`;
+    const roomPattern = roomSuffixPattern(rooms);
+
+    const cleanName = (s) => {
+        let out = String(s || '')
+            .replace(/\s+\d{1,2}:\d{2}\s*(am|pm)?/i, '')
+            .replace(/\s+[-–—]\s*.*$/, '')
+            .replace(/\s+at\s+.*/i, '');
+        if (roomPattern) out = out.replace(roomPattern, '');
+        return out.trim();
+    };
+
+    // ------------------------------------------------------------
+    // CALENDAR PAGE
+    // MEC articles, or any /events/ link on other skins; queues event pages
+    // ------------------------------------------------------------
+    const parseCalendar = async ({ $, request, context }) => {
+        const { venueId } = request.userData || {};
+
+        const seen = new Set();
+        const events = [];
+        const add = (title, url, dateText = null, timeText = null) => {
+            if (!title || !url || !/[a-z0-9]/i.test(title) || title.length < 3) return;
+            const key = `${url}|${title}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            events.push({ title, url, dateText, timeText });
+        };
+
+        for (const el of $(MEC_ARTICLE).toArray()) {
+            const article = $(el);
+            const link = article.find('.mec-event-title a[href], h4 a[href], h3 a[href]').first();
+            add(
+                textOf(link),
+                link.attr('href') ? link.prop('href') : null,
+                textOf(article.find('.mec-start-date-label, .mec-event-date').first()) || null,
+                startTimeOf(textOf(article.find('.mec-event-time, .mec-start-time').first())),
+            );
+        }
+
+        if (!events.length) {
+            for (const el of $('a[href*="/events/"]').toArray()) {
+                const a = $(el);
+                if (a.attr('href')) add(textOf(a), a.prop('href'));
+            }
+        }
+
+        if (!events.length) return [];
+
+        if (context?.crawler) {
+            await context.crawler.addRequests(events.map((ev) => ({
+                url: ev.url,
+                userData: {
+                    venueId,
+                    parserId: detailParserId,
+                    calendarTitle: ev.title,
+                    calendarDateText: ev.dateText,
+                    calendarTimeText: ev.timeText,
+                },
+            })));
+            return [];
+        }
+
+        return events.map((ev) => ({
+            eventDateRaw: ev.dateText,
+            timeText: ev.timeText,
+            headliner: cleanName(ev.title),
+            supportingActs: [],
+            room: findRoom([ev.title], rooms),
+            sourceUrl: ev.url,
+        }));
+    };
+
+    // ------------------------------------------------------------
+    // EVENT DETAIL PAGE
+    // ------------------------------------------------------------
+    const parseEvent = async ({ $, request }) => {
+        const sourceUrl = request.loadedUrl || request.url;
+        const { calendarTitle, calendarDateText, calendarTimeText } = request.userData || {};
+
+        const [structured] = readJsonLdEventsFromHtml($, { baseUrl: sourceUrl });
+        const markup = readSingleMarkup($);
+
+        const headingText = textOf($('h1, .mec-single-title, .entry-title, .post-title, .event-title').first()) || null;
+        const title = calendarTitle || headingText || (structured && structured.title) || null;
+
+        let headliner = title;
+        const supportingActs = [];
+
+        if (headliner && /\s+(?:w\/|with)\s+/i.test(headliner)) {
+            const [main, ...supports] = parseLineup(headliner);
+            if (main) headliner = main.artistName;
+            for (const { artistName } of supports) {
+                const part = cleanName(artistName);
+                if (part.length > 2 && part.length < 100) supportingActs.push(part);
+            }
+        }
+
+        const pageText = innerText($);
+        for (const line of pageText.split('\n')) {
+            if (!/^(with|featuring|feat\.?|w\/)\s+/i.test(line)) continue;
+            let artistStr = line.replace(/^(with|featuring|feat\.?|w\/)\s+/i, '').replace(/\s*on\s+.*/i, '').replace(/\s+at\s+.*/i, '');
+            if (roomPattern) artistStr = artistStr.replace(roomPattern, '');
+            for (const part of splitArtistNames(artistStr.trim())) {
+                if (part.length > 2 && part.length < 100 && !supportingActs.includes(part)) supportingActs.push(part);
+            }
+        }
+
+        // JSON-LD dates often omit the time; MEC's time row fills it in,
+        // and "Doors 7pm / Show 8pm" lines label it.
+        const showLines = readShowLines(pageText.split('\n'));
+        const eventDateRaw = (structured && structured.eventDateRaw) || markup.dateText || calendarDateText || null;
+        const timeText = [markup.timeText || calendarTimeText, showLines.timeText].filter(Boolean).join(' ') || null;
+
+        // The cost row and the page's ticket lines fill what MEC's JSON-LD
+        // offer leaves out.
+        const offers = mergeOffers(structured && structured.offers, parseTicketLines([markup.costText]), readTicketOffersFromHtml($, pageText));
+
+        return [
+            {
+                title: title ? cleanName(title) || title : null,
+                eventDateRaw,
+                timeText,
+                headliner: headliner ? cleanName(headliner) : null,
+                supportingActs: Array.from(new Set(supportingActs)),
+                sourceUrl,
+                ticketUrl: (structured && structured.ticketUrl) || (offers && offers.url) || null,
+                offers,
+                eventStatus: structured ? structured.eventStatus : null,
+                ageRestriction: (structured && structured.ageRestriction) || showLines.ageRestriction,
+                room: findRoom([title, headingText, ...markup.categories, markup.location && markup.location.name], rooms),
+                location: (structured && structured.location && structured.location.name ? structured.location : null) || markup.location,
+                description: structured ? structured.description : null,
+                image: structured ? structured.image : null,
+                categories: markup.categories,
+            },
+        ];
+    };
+
+    return {
+        id,
+        name: name || id,
+        startUrl,
+        timezone,
+        defaultParserId: calendarParserId,
+        parsers: {
+            [calendarParserId]: { type: 'calendar', browser: false, parse: parseCalendar },
+            [detailParserId]: { type: 'detail', browser: false, parse: parseEvent },
+        },
+    };
+};
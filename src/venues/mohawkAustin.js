@@ -0,0 +1,97 @@
+// ------------------------------------------------------------------------
+// Mohawk
+// ------------------------------------------------------------------------
+
+import { splitArtistNames } from '../lineup.js';
+import { findRoom, parseAgeRestriction } from '../showDetails.js';
+
+// Shows are booked on the outdoor stage or inside; Etix links end in
+// "-mohawk-outdoor" / "-mohawk-indoor" when the card does not say.
+const ROOMS = [
+    { name: 'Outdoor', match: ['Outside'] },
+    { name: 'Indoor', match: ['Inside'] },
+];
+
+// ------------------------------------------------------------
+// Calendar page has headliner + supports
+// Extracts event cards from .list-view-details, with their times, age
+// limit and stage
+// ------------------------------------------------------------
+const parseCalendar = async ({ page, request }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+
+    const events = await page.$$eval('.list-view-details', (cards) => {
+        const results = [];
+        const seen = new Set();
+
+        for (const card of cards) {
+            // Get headliner from .event-name.headliners
+            const headliner = card
+                .querySelector('.event-name.headliners a, .event-name.headliners')
+                ?.textContent?.trim();
+
+            if (!headliner) continue;
+
+            // Get supporting acts from .event-name.supports
+            const supportsEl = card.querySelector('.event-name.supports');
+            const supportsText = supportsEl ? (supportsEl.textContent || '').trim() : '';
+
+            // Get event URL
+            const linkEl = card.querySelector('a[href]');
+            const url = linkEl ? linkEl.href : null;
+
+            // Deduplicate by headliner + URL
+            const key = `${url || ''}|${headliner}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            // Try to extract date from card
+            const dateEl = card.querySelector('.event-date, time, .date');
+            const dateText = dateEl ? (dateEl.getAttribute('datetime') || (dateEl.textContent || '').trim()) : null;
+
+            const textOf = (selector) => {
+                const el = card.querySelector(selector);
+                return el ? (el.textContent || '').replace(/\s+/g, ' ').trim() || null : null;
+            };
+
+            results.push({
+                headliner,
+                supportsText,
+                url,
+                dateText,
+                timeText: textOf('.times'),
+                ageText: textOf('.age-restriction, .ages'),
+                roomText: textOf('.venue, .venue-name, .room, .stage'),
+            });
+        }
+
+        return results;
+    });
+
+    if (!events || !events.length) {
+        return [];
+    }
+
+    const normalized = events.map((ev) => ({
+        headliner: ev.headliner || null,
+        supportingActs: splitArtistNames(ev.supportsText),
+        eventDateRaw: ev.dateText || null,
+        timeText: ev.timeText,
+        ageRestriction: parseAgeRestriction(ev.ageText),
+        room: findRoom([ev.roomText, ev.url], ROOMS),
+        sourceUrl: ev.url || sourceUrl,
+    }));
+
+    return normalized;
+};
+
+export const venue = {
+    id: 'mohawkAustin',
+    name: 'Mohawk',
+    startUrl: 'https://mohawkaustin.com/',
+    timezone: 'America/Chicago',
+    defaultParserId: 'mohawkAustin',
+    parsers: {
+        mohawkAustin: { type: 'calendar', parse: parseCalendar },
+    },
+};
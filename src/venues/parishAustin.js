@@ -0,0 +1,15 @@
+// ------------------------------------------------------------------------
+// The Parish
+// Modern Events Calendar site (see ./mec.js).
+// ------------------------------------------------------------------------
+
+import { buildMecVenue } from './mec.js';
+
+export const venue = buildMecVenue({
+    id: 'parishAustin',
+    name: 'The Parish',
+    startUrl: 'https://parishaustin.com/calendar/',
+    timezone: 'America/Chicago',
+}, {
+    parserIds: { calendar: 'parishAustin', detail: 'parishAustinEvent' },
+});
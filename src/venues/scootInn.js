@@ -0,0 +1,19 @@
+// ------------------------------------------------------------------------
+// Scoot Inn
+// Live Nation shows page (see ./liveNation.js).
+// ------------------------------------------------------------------------
+
+import { buildLiveNationVenue } from './liveNation.js';
+
+export const venue = buildLiveNationVenue({
+    id: 'scootInn',
+    name: 'Scoot Inn',
+    startUrl: 'https://www.scootinnaustin.com/shows/',
+    timezone: 'America/Chicago',
+}, {
+    // Big shows play the outdoor stage, small ones the bar inside.
+    rooms: [
+        { name: 'Outdoor Stage', match: ['Outdoor', 'Outdoors', 'Outside', 'Lawn'] },
+        { name: 'Inside', match: ['Indoor', 'Indoors', 'Inside Stage'] },
+    ],
+});
@@ -0,0 +1,146 @@
+// ------------------------------------------------------------------------
+// Stubb's BBQ
+// ------------------------------------------------------------------------
+
+import { readJsonLdEventsFromHtml } from '../jsonld.js';
+import { splitArtistNames } from '../lineup.js';
+import { mergeOffers, readTicketOffersFromHtml } from '../offers.js';
+import { findRoom, readShowLines } from '../showDetails.js';
+import { innerText, textOf } from '../static.js';
+
+// The outdoor amphitheater holds ten times the indoor stage.
+const ROOMS = [
+    { name: 'Waller Creek Amphitheater', match: ['Amphitheater', 'Amphitheatre', 'Outdoors', 'Outside'] },
+    { name: 'Indoors', match: ['Indoor', 'Inside', 'Indoor Stage'] },
+];
+
+// ------------------------------------------------------------
+// CALENDAR PAGE
+// Grabs all /tm-event/ links and queues them
+// ------------------------------------------------------------
+const parseCalendar = async ({ $, request, context }) => {
+    const { venueId } = request.userData || {};
+
+    const seen = new Set();
+    const events = [];
+
+    for (const el of $('a[href*="/tm-event/"]').toArray()) {
+        const a = $(el);
+        const title = textOf(a);
+        const url = a.prop('href');
+
+        if (!title || !url) continue;
+
+        const key = `${url}|${title}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        // Kept for the detail request, so a failed page still has a date.
+        const card = a.closest('.event-card, article, li');
+        const dateEl = card.find('time, .date, .event-date').first();
+        const dateText = dateEl.attr('datetime') || textOf(dateEl) || null;
+
+        events.push({ title, url, dateText });
+    }
+
+    if (!events || !events.length) {
+        return [];
+    }
+
+    const detailRequests = events.map((ev) => ({
+        url: ev.url,
+        userData: {
+            venueId,
+            parserId: 'stubbsAustinEvent',
+            calendarDateText: ev.dateText,
+            calendarTitle: ev.title || null,
+        },
+    }));
+
+    if (context?.crawler && detailRequests.length > 0) {
+        await context.crawler.addRequests(detailRequests);
+        return [];
+    }
+
+    return events.map(ev => ({ eventDateRaw: ev.dateText, headliner: ev.title || ev.url, supportingActs: [], sourceUrl: ev.url }));
+};
+
+// ------------------------------------------------------------
+// TM EVENT PAGE
+// Uses "with ..." to get openers. Headliner comes from calendarTitle.
+// The page's JSON-LD (when present) supplies date, offers and status;
+// ticket lines and the vendor link fill in the offers. Doors/show and age
+// lines, and the stage from the location or a "Stage:" line, are kept.
+// ------------------------------------------------------------
+const parseEvent = async ({ $, request }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+    const { calendarDateText, calendarTitle } = request.userData || {};
+
+    const [structured] = readJsonLdEventsFromHtml($, { baseUrl: sourceUrl });
+
+    const pageText = innerText($);
+    const lines = pageText.split('\n');
+    const ticketOffers = readTicketOffersFromHtml($, pageText);
+    const withLine = lines.find((l) => /^with\s+/i.test(l)) || null;
+    const titleText = textOf($('h1, .entry-title, .post-title').first()) || null;
+    const { timeText, ageRestriction } = readShowLines(lines);
+    const room = findRoom([
+        structured && structured.location && structured.location.name,
+        ...lines.filter((l) => /^(stage|location|venue|room)\b/i.test(l)),
+    ], ROOMS);
+
+    let headliner = calendarTitle || titleText || null;
+    let supportingActs = [];
+
+    if (withLine) {
+        const parts = splitArtistNames(withLine.replace(/\.$/, ''));
+        if (parts.length > 0) {
+            supportingActs = parts;
+        }
+    }
+
+    if (structured) {
+        if (!supportingActs.length) supportingActs = structured.supportingActs;
+        const offers = mergeOffers(structured.offers, ticketOffers);
+        return [
+            {
+                ...structured,
+                ticketUrl: structured.ticketUrl || (offers && offers.url) || null,
+                offers,
+                eventDateRaw: structured.eventDateRaw || calendarDateText || null,
+                timeText,
+                ageRestriction: structured.ageRestriction || ageRestriction,
+                room,
+                headliner: headliner || structured.headliner,
+                supportingActs,
+                sourceUrl,
+            },
+        ];
+    }
+
+    return [
+        {
+            eventDateRaw: calendarDateText || null,
+            timeText,
+            ageRestriction,
+            room,
+            headliner,
+            supportingActs,
+            sourceUrl,
+            ticketUrl: ticketOffers ? ticketOffers.url || null : null,
+            offers: ticketOffers,
+        },
+    ];
+};
+
+export const venue = {
+    id: 'stubbsAustin',
+    name: "Stubb's BBQ",
+    startUrl: 'https://stubbsaustin.com/concert-listings/',
+    timezone: 'America/Chicago',
+    defaultParserId: 'stubbsAustin',
+    parsers: {
+        stubbsAustin: { type: 'calendar', browser: false, parse: parseCalendar },
+        stubbsAustinEvent: { type: 'detail', browser: false, parse: parseEvent },
+    },
+};
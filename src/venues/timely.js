@@ -0,0 +1,410 @@
+// ------------------------------------------------------------------------
+// Timely calendars
+// Builds a venue module for a venue whose calendar is a Timely embed:
+//   {
+//     "id": "continentalClubAustin",
+//     "startUrl": "https://continentalclub.com/austin/",
+//     "timely": {
+//       "calendarId": "54714987",     // optional, read from the embed page
+//       "venues": ["678194628"],      // optional Timely venue filter
+//       "embedSlug": "74avt53i"       // optional, read from the Timely iframe
+//     }
+//   }
+// Whatever is missing is discovered from the Timely iframe (or embed
+// script) on startUrl. The calendar parser pages through the Timely events
+// API and returns finished items with title, description, image, ticket URL
+// and categories, so no detail page is crawled. Only when the API yields
+// nothing does it read the embed's month view and queue the Timely event
+// pages for the detail parser (parser id "<id>Event" by default).
+// ------------------------------------------------------------------------
+
+import { DEFAULT_TIME_ZONE } from '../dates.js';
+import { parseLineup, splitArtistNames } from '../lineup.js';
+import { mergeOffers, parseTicketLines, readTicketOffers } from '../offers.js';
+import { readShowLines } from '../showDetails.js';
+
+const TIMELY_API_BASE = 'https://timelyapp.time.ly/api';
+const TIMELY_EMBED_BASE = 'https://events.timely.fun';
+const EMBED_URL_PATTERN = /^https?:\/\/(?:events\.timely\.fun|calendar\.time\.ly)\/([a-z0-9]+)(?:[/?#]|$)/i;
+
+const PER_PAGE = 100;
+const MAX_PAGES = 20; // 2000 shows; a runaway paging loop stops here
+const LOOKAHEAD_DAYS = 365;
+
+const asArray = (v) => {
+    if (v === null || v === undefined) return [];
+    return Array.isArray(v) ? v : [v];
+};
+
+const stripHtml = (html) => {
+    if (!html) return null;
+    const text = String(html)
+        .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+    return text || null;
+};
+
+export const timelyEventUrl = (embedSlug, item) => {
+    if (!embedSlug || !item) return null;
+    const key = item.custom_url || item.id;
+    return key ? `${TIMELY_EMBED_BASE}/${embedSlug}/event/${key}` : null;
+};
+
+// Timely nests taxonomies differently across API versions.
+const categoriesOf = (item) => {
+    const taxonomies = item.taxonomies || {};
+    const entries = [...asArray(taxonomies.taxonomy_category), ...asArray(item.categories)];
+    const names = entries.map((c) => (typeof c === 'string' ? c : c && (c.title || c.name))).filter(Boolean);
+    return Array.from(new Set(names.map((n) => String(n).trim())));
+};
+
+const imageOf = (item) => {
+    const image = asArray(item.images)[0] || item.featured_image || item.image || null;
+    if (!image) return null;
+    if (typeof image === 'string') return image;
+    const sizes = image.sizes || {};
+    return (sizes.full && sizes.full.url) || (sizes.large && sizes.large.url) || image.url || null;
+};
+
+const ticketUrlOf = (item) => item.ticket_url || item.tickets_url || item.cost_external_url || (item.cost && item.cost.url) || null;
+
+// cost_type "free" / "paid", cost_display "$15 - $20" (or a plain cost string).
+const offersOf = (item) => {
+    const costText = item.cost_display || (typeof item.cost === 'string' ? item.cost : item.cost && item.cost.display) || null;
+    return mergeOffers(
+        parseTicketLines([costText]),
+        String(item.cost_type || '').toLowerCase() === 'free' ? { priceMin: 0, priceMax: 0, isFree: true } : null,
+        { url: ticketUrlOf(item) },
+    );
+};
+
+// One parser item per API event.
+export const timelyItemToParserItem = (item, { embedSlug, dateKey, fallbackUrl } = {}) => ({
+    title: item.title || null,
+    lineup: parseLineup(item.title || ''),
+    eventDateRaw: item.start_datetime || item.start_utc_datetime || dateKey || null,
+    description: stripHtml(item.description_short || item.description),
+    image: imageOf(item),
+    ticketUrl: ticketUrlOf(item),
+    offers: offersOf(item),
+    categories: categoriesOf(item),
+    sourceUrl: timelyEventUrl(embedSlug, item) || item.url || fallbackUrl || null,
+});
+
+// Reads the Timely embed (iframe, embed script or link) on a venue page.
+// Returns { embedSlug, venues } or null.
+export const discoverTimelyEmbed = async (page) => {
+    const urls = await page
+        .$$eval('iframe[src], script[src], [data-src], a[href*="timely.fun"], a[href*="time.ly"]', (nodes) => nodes.flatMap((n) => [
+            n.getAttribute('src'),
+            n.getAttribute('data-src'),
+            n.getAttribute('href'),
+        ]).filter(Boolean))
+        .catch(() => []);
+
+    for (const url of urls) {
+        const match = url.match(EMBED_URL_PATTERN);
+        if (!match || /^embed$/i.test(match[1])) continue;
+        let venues = [];
+        try {
+            const param = new URL(url).searchParams.get('venues');
+            if (param) venues = param.split(',').filter(Boolean);
+        } catch (e) {
+            // ignore
+        }
+        return { embedSlug: match[1], venues };
+    }
+    return null;
+};
+
+// The embed page bootstraps its calendar id into the HTML.
+const discoverCalendarId = async (page, embedSlug) => {
+    const resp = await page.request.get(`${TIMELY_EMBED_BASE}/${embedSlug}/`);
+    if (!resp || !resp.ok()) return null;
+    const html = await resp.text();
+    const match = html.match(/calendar[_-]?id["']?\s*[:=]\s*["']?(\d+)/i);
+    return match ? match[1] : null;
+};
+
+// Pages through the events API. Returns [{ item, dateKey }] in API order.
+export const fetchTimelyEvents = async (page, { calendarId, venues = [], timeZone, now = Date.now(), log }) => {
+    const start = Math.floor(now / 1000);
+    const end = start + LOOKAHEAD_DAYS * 24 * 3600;
+    const events = [];
+    const seen = new Set();
+
+    for (let pageNo = 1; pageNo <= MAX_PAGES; pageNo++) {
+        const params = new URLSearchParams({
+            group_by_date: '1',
+            timezone: timeZone,
+            view: 'month',
+            start_date_utc: String(start),
+            end_date_utc: String(end),
+            per_page: String(PER_PAGE),
+            page: String(pageNo),
+        });
+        if (venues.length) params.set('venues', venues.join(','));
+
+        const resp = await page.request.get(`${TIMELY_API_BASE}/calendars/${calendarId}/events?${params}`, {
+            headers: { Accept: 'application/json, text/javascript, */*; q=0.01' },
+        });
+        if (!resp.ok()) throw new Error(`Timely API answered ${resp.status()} for calendar ${calendarId}, page ${pageNo}.`);
+
+        const data = ((await resp.json()) || {}).data || {};
+        const groups = Array.isArray(data.items) ? { '': data.items } : data.items || {};
+
+        let added = 0;
+        let received = 0;
+        for (const [dateKey, dayItems] of Object.entries(groups)) {
+            for (const item of asArray(dayItems)) {
+                received++;
+                // Recurring events repeat their id; the start tells instances apart.
+                const key = `${item.id}|${item.start_datetime || item.start_utc_datetime || dateKey}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                events.push({ item, dateKey: dateKey || null });
+                added++;
+            }
+        }
+
+        const total = Number(data.total) || null;
+        const hasNext = data.has_next !== undefined ? Boolean(data.has_next) : null;
+        if (!added || hasNext === false || (total && events.length >= total) || (hasNext === null && !total && received < PER_PAGE)) break;
+        if (pageNo === MAX_PAGES && log) log.warning(`Timely calendar ${calendarId}: stopped after ${MAX_PAGES} API pages.`);
+    }
+
+    return events;
+};
+
+// ------------------------------------------------------------
+// Month view fallback: reads the embed's month page and returns
+// [{ title, eventDateRaw, timeText, detailUrl }].
+// ------------------------------------------------------------
+const readMonthView = async (page, monthUrl) => {
+    const timelyPage = await page.context().newPage();
+    try {
+        await timelyPage.goto(monthUrl, { waitUntil: 'networkidle', timeout: 15000 });
+        return await timelyPage.$$eval('.timely-event', (nodes) => nodes.flatMap((node) => {
+            const titleEl = node.querySelector('.timely-event-title-text');
+            if (!titleEl) return [];
+            const timeEl = titleEl.querySelector('.timely-event-time');
+            const timeText = timeEl ? (timeEl.textContent || '').trim() : null;
+            const clone = titleEl.cloneNode(true);
+            const cloneTime = clone.querySelector('.timely-event-time');
+            if (cloneTime) cloneTime.remove();
+            const title = (clone.textContent || '').trim();
+            if (!title) return [];
+
+            // aria-label ends in the date: "..., Friday, November 28, 2025"
+            let eventDateRaw = null;
+            const parts = (node.getAttribute('aria-label') || '').split(',').map((p) => p.trim()).filter(Boolean);
+            const last = parts[parts.length - 1];
+            if (last && /^\d{4}$/.test(last) && parts.length > 1) eventDateRaw = parts.slice(-2).join(', ');
+            else if (last && /\d{4}$/.test(last)) eventDateRaw = last;
+
+            const linkEl = node.querySelector('a[href*="/event/"]') || node.querySelector('a');
+            return [{ title, eventDateRaw, timeText, detailUrl: linkEl ? linkEl.href || null : null }];
+        }));
+    } finally {
+        await timelyPage.close();
+    }
+};
+
+// ------------------------------------------------------------
+// TIMELY EVENT PAGE
+// Only reached through the month view fallback; the headliner comes from
+// the calendar, supports from "with ..." / "featuring ..." lines; times, age
+// and offers from the lines the lineup stops at.
+// ------------------------------------------------------------
+export const parseTimelyEvent = async ({ page, request }) => {
+    const sourceUrl = request.loadedUrl || request.url;
+    const { calendarDateText, calendarTimeText, calendarTitle } = request.userData || {};
+
+    const { headingTitle, allLines, isTimely } = await page.evaluate(() => {
+        const heading = document.querySelector('h1, .entry-title, .post-title');
+        const headingTitle = heading?.textContent?.trim() || null;
+        const text = document.body ? (document.body.innerText || '') : '';
+        const allLines = text.split('\n').map(l => l.trim()).filter(Boolean);
+        const isTimely = location.host.includes('timely.fun') || location.host.includes('time.ly') || !!document.querySelector('.timely-event') || !!document.querySelector('.timely-iframe');
+        return { headingTitle, allLines, isTimely };
+    });
+
+    const stopPattern = /^(tickets|event details|details|venue info|time:|doors|show:|ages|admission|onsale)/i;
+
+    let startIndex = -1;
+    if (headingTitle) startIndex = allLines.findIndex(l => l.includes(headingTitle));
+    if (startIndex === -1) startIndex = allLines.findIndex(l => /\b(with|featuring|feat\.?|presented by)\b/i.test(l));
+
+    const candidateLines = [];
+    if (startIndex !== -1) {
+        for (let i = startIndex + 1; i < Math.min(allLines.length, startIndex + 20); i++) {
+            const line = allLines[i];
+            if (!line) continue;
+            if (stopPattern.test(line)) break;
+            if (/^www\./i.test(line)) break;
+            if (line.length > 200) break;
+            candidateLines.push(line);
+            if (candidateLines.length >= 12) break;
+        }
+    } else {
+        for (let i = 0; i < Math.min(allLines.length, 40); i++) {
+            const line = allLines[i];
+            if (!line) continue;
+            if (stopPattern.test(line)) break;
+            if (/\b(with|featuring|feat\.?|presented by)\b/i.test(line) || /,/.test(line)) candidateLines.push(line);
+            if (candidateLines.length >= 12) break;
+        }
+    }
+
+    const normalizeName = (name) => name.replace(/^[–-]\s*/, '').replace(/\s+/g, ' ').trim();
+    const candidateNames = [];
+    for (const raw of candidateLines) {
+        const line = normalizeName(raw);
+        if (!line) continue;
+        const parts = splitArtistNames(line).map(p => normalizeName(p)).filter(Boolean);
+        for (const part of parts) {
+            if (/^(tickets|event details|details|venue info|time:|doors|show:|ages|admission)/i.test(part)) continue;
+            if (/[0-9]:[0-9]{2}\s*(am|pm)/i.test(part)) continue;
+            if (part.split(/\s+/).length > 10) continue;
+            candidateNames.push(part);
+        }
+    }
+
+    if ((isTimely) && (!candidateNames.length || !headingTitle)) {
+        const timelyCandidates = [];
+        for (const l of allLines.slice(0, 40)) {
+            if (/^(featuring|feats?|with|presented by)\b/i.test(l) || /,\s*with\b/i.test(l) || /feat\.?/i.test(l)) {
+                timelyCandidates.push(l);
+            }
+        }
+        for (const rawLine of timelyCandidates) {
+            const line = normalizeName(rawLine.replace(/^(featuring|feats?|with|presented by)\s*/i, ''));
+            if (!line) continue;
+            const parts = splitArtistNames(line).map(p => normalizeName(p)).filter(Boolean);
+            for (const p of parts) if (p) candidateNames.push(p);
+        }
+        if (!candidateNames.length && headingTitle) {
+            candidateNames.push(headingTitle);
+        }
+    }
+
+    const unique = Array.from(new Set(candidateNames));
+    let headliner = calendarTitle || (unique[0] || null) || headingTitle || null;
+    let supportingActs = unique.slice(1);
+    if (calendarTitle && headliner && headliner !== calendarTitle) {
+        headliner = calendarTitle;
+        supportingActs = unique.filter(n => n !== calendarTitle);
+    }
+
+    const offers = await readTicketOffers(page);
+    const { timeText, ageRestriction } = readShowLines(allLines);
+    return [{
+        eventDateRaw: calendarDateText || null,
+        timeText: [calendarTimeText, timeText].filter(Boolean).join(' ') || null,
+        ageRestriction,
+        headliner,
+        supportingActs,
+        sourceUrl,
+        ticketUrl: offers ? offers.url || null : null,
+        offers,
+    }];
+};
+
+// config:         venue entry (see header)
+// parserIds:      { calendar, detail } to keep existing ids stable
+// parseVenuePage: optional last resort for venue-specific markup, called as
+//                 ({ page, request, context, detailParserId })
+export const buildTimelyVenue = (config, { parserIds = {}, parseVenuePage = null } = {}) => {
+    const { id, name, startUrl, timezone = DEFAULT_TIME_ZONE, timely = {} } = config || {};
+    if (!id) throw new Error('Timely venue needs an id.');
+    if (!startUrl) throw new Error(`Venue "${id}" needs a startUrl.`);
+    if (!timely || typeof timely !== 'object') throw new Error(`Timely settings of venue "${id}" must be an object.`);
+
+    const calendarParserId = parserIds.calendar || id;
+    const detailParserId = parserIds.detail || `${id}Event`;
+    const configuredVenues = asArray(timely.venues).map(String).filter(Boolean);
+
+    // ------------------------------------------------------------
+    // CALENDAR (venue page with the Timely embed)
+    // ------------------------------------------------------------
+    const parseCalendar = async ({ page, request, context, log }) => {
+        const { venueId } = request.userData || {};
+        const sourceUrl = request.loadedUrl || request.url;
+
+        let embedSlug = timely.embedSlug || null;
+        let venues = configuredVenues;
+        let calendarId = timely.calendarId ? String(timely.calendarId) : null;
+
+        if (!embedSlug || !calendarId) {
+            const embed = await discoverTimelyEmbed(page);
+            if (embed) {
+                embedSlug = embedSlug || embed.embedSlug;
+                if (!venues.length) venues = embed.venues;
+            }
+            if (!calendarId && embedSlug) calendarId = await discoverCalendarId(page, embedSlug).catch(() => null);
+        }
+
+        if (calendarId) {
+            try {
+                const events = await fetchTimelyEvents(page, { calendarId, venues, timeZone: timezone, log });
+                if (events.length) {
+                    return events.map(({ item, dateKey }) => timelyItemToParserItem(item, { embedSlug, dateKey, fallbackUrl: sourceUrl }));
+                }
+            } catch (e) {
+                if (log) log.warning(`Timely API failed for ${id}: ${e.message}`);
+            }
+        } else if (log) {
+            log.warning(`No Timely calendar id for ${id}; set timely.calendarId.`);
+        }
+
+        if (embedSlug) {
+            const params = new URLSearchParams({ nofilters: '1', timely_id: 'timely-iframe-embed-0' });
+            if (venues.length) params.set('venues', venues.join(','));
+            const monthUrl = `${TIMELY_EMBED_BASE}/${embedSlug}/month?${params}`;
+            try {
+                const rows = await readMonthView(page, monthUrl);
+                if (rows.length) {
+                    const detailRequests = rows.filter((r) => r.detailUrl).map((r) => ({
+                        url: r.detailUrl,
+                        userData: { venueId, parserId: detailParserId, calendarDateText: r.eventDateRaw, calendarTimeText: r.timeText, calendarTitle: r.title },
+                    }));
+                    if (detailRequests.length && context?.crawler) {
+                        await context.crawler.addRequests(detailRequests);
+                        return [];
+                    }
+                    return rows.map((r) => ({
+                        eventDateRaw: r.eventDateRaw,
+                        timeText: r.timeText,
+                        lineup: parseLineup(r.title),
+                        sourceUrl: monthUrl,
+                    }));
+                }
+            } catch (e) {
+                if (log) log.warning(`Timely month view failed for ${id}: ${e.message}`);
+            }
+        }
+
+        return parseVenuePage ? parseVenuePage({ page, request, context, detailParserId }) : [];
+    };
+
+    return {
+        id,
+        name: name || id,
+        startUrl,
+        timezone,
+        defaultParserId: calendarParserId,
+        parsers: {
+            [calendarParserId]: { type: 'calendar', parse: parseCalendar },
+            [detailParserId]: { type: 'detail', parse: parseTimelyEvent },
+        },
+    };
+};
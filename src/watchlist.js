@@ -0,0 +1,222 @@
+import { Actor } from 'apify';
+
+import { canonicalArtistKey } from './artists.js';
+
+// ------------------------------------------------------------------------
+// Artist watchlist
+// Every artist row the crawler pushes is checked against the `watchlist`
+// input (artist names, any spelling, or artistIds). Matches are stored as
+// the WATCHLIST_HITS record in the default key-value store:
+//   { createdAt, entries, fuzzy, hits: [{ hitKey, entry, matchType,
+//     similarity, artistName, artistId, role, eventId, venueId, venueName,
+//     title, eventDate, eventStartISO, sourceUrl, ticketUrl, foundAt,
+//     notified, alreadySent }] }
+// and POSTed to `watchlistWebhookUrl`. A hit (artistId + eventId) that was
+// delivered once is remembered in the SENT_HITS record of the named store
+// "watchlist" and never sent again, so a show is announced once across runs.
+// ------------------------------------------------------------------------
+
+export const WATCHLIST_HITS_KEY = 'WATCHLIST_HITS';
+export const WATCHLIST_STORE_NAME = 'watchlist';
+export const SENT_HITS_KEY = 'SENT_HITS';
+
+// json:    { type, count, hits }
+// slack:   incoming-webhook message ({ text, blocks })
+// discord: webhook message ({ content, embeds })
+export const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+// Canonical keys at least this similar match with `watchlistFuzzy`.
+const FUZZY_MIN_SIMILARITY = 0.85;
+// Short keys ("x", "mau") would match too much once typos are allowed.
+const FUZZY_MIN_LENGTH = 5;
+
+const ARTIST_ID = /^[0-9a-f]{16}$/;
+
+// Hits per webhook call; Discord allows at most 10 embeds per message.
+const HITS_PER_MESSAGE = { json: 100, slack: 20, discord: 10 };
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+export const buildHitKey = ({ artistId, artistName, eventId }) => `${artistId || canonicalArtistKey(artistName)}|${eventId}`;
+
+// 1 - edit distance / length of the longer string. Swapped neighbours
+// ("Graevs") count as one edit (optimal string alignment).
+export const similarity = (a, b) => {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    let before = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], before[j - 2] + 1);
+        }
+        before = prev;
+        prev = cur;
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+};
+
+// entries: watchlist input; idOf: name -> artistId through the alias table.
+// Returns (row) => { entry, matchType, similarity } | null.
+export const createWatchlistMatcher = (entries, { fuzzy = false, idOf = () => null } = {}) => {
+    const targets = (entries || [])
+        .map((raw) => String(raw || '').trim())
+        .filter(Boolean)
+        .map((entry) => {
+            if (ARTIST_ID.test(entry)) return { entry, artistId: entry, key: null };
+            return { entry, artistId: idOf(entry), key: canonicalArtistKey(entry) };
+        })
+        .filter((t) => t.artistId || t.key);
+
+    return (row) => {
+        const rowKey = canonicalArtistKey(row.artistName);
+        for (const t of targets) {
+            if (t.artistId && row.artistId === t.artistId) return { entry: t.entry, matchType: t.key ? 'name' : 'id', similarity: 1 };
+            if (t.key && rowKey === t.key) return { entry: t.entry, matchType: 'name', similarity: 1 };
+        }
+        if (!fuzzy || !rowKey || rowKey.length < FUZZY_MIN_LENGTH) return null;
+
+        let best = null;
+        for (const t of targets) {
+            if (!t.key || t.key.length < FUZZY_MIN_LENGTH) continue;
+            const score = similarity(t.key, rowKey);
+            if (score >= FUZZY_MIN_SIMILARITY && (!best || score > best.similarity)) {
+                best = { entry: t.entry, matchType: 'fuzzy', similarity: Math.round(score * 100) / 100 };
+            }
+        }
+        return best;
+    };
+};
+
+const describeHit = (h) => [h.artistName, h.title && h.title !== h.artistName ? `(${h.title})` : null, `at ${h.venueName || h.venueId}`, h.eventDate ? `on ${h.eventDate}` : null]
+    .filter(Boolean)
+    .join(' ');
+
+// hits: one message worth of hits -> request body
+export const buildWebhookPayload = (hits, format = 'json') => {
+    const heading = `Watchlist: ${hits.length} new show${hits.length === 1 ? '' : 's'}`;
+    if (format === 'slack') {
+        const lines = hits.map((h) => {
+            const link = h.ticketUrl || h.sourceUrl;
+            return `• *${describeHit(h)}*${link ? ` <${link}|details>` : ''}`;
+        });
+        return {
+            text: `${heading}\n${lines.join('\n')}`,
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: heading } },
+                { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } },
+            ],
+        };
+    }
+    if (format === 'discord') {
+        return {
+            content: heading,
+            embeds: hits.map((h) => ({
+                title: describeHit(h).slice(0, 256),
+                url: h.ticketUrl || h.sourceUrl || undefined,
+                description: [h.role === 'headliner' ? 'Headlining' : 'Supporting', h.matchType === 'fuzzy' ? `matched "${h.entry}"` : null].filter(Boolean).join(', '),
+                timestamp: h.eventStartISO ? new Date(h.eventStartISO).toISOString() : undefined,
+            })),
+        };
+    }
+    return { type: 'watchlistHits', count: hits.length, hits };
+};
+
+const postJson = async (url, body) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+};
+
+// Collects hits while the crawl runs; `finish` stores and sends them.
+// venueName: venueId -> display name. With `persist: false` (replayed
+// crawls) nothing is sent and SENT_HITS is left alone.
+export const createWatchlist = ({
+    entries = [],
+    fuzzy = false,
+    webhookUrl = null,
+    webhookFormat = 'json',
+    idOf,
+    venueName = (id) => id,
+    persist = true,
+    log,
+} = {}) => {
+    if (!WEBHOOK_FORMATS.includes(webhookFormat)) {
+        throw new Error(`Unknown watchlistWebhookFormat "${webhookFormat}". Use one of: ${WEBHOOK_FORMATS.join(', ')}.`);
+    }
+    const enabled = (entries || []).some((e) => String(e || '').trim());
+    const match = createWatchlistMatcher(entries, { fuzzy, idOf });
+    const hits = new Map();
+
+    // rows: artist rows just pushed; events: their event records
+    const check = (rows, events = []) => {
+        if (!enabled) return;
+        const eventsById = new Map(events.map((ev) => [ev.eventId, ev]));
+        for (const row of rows) {
+            const found = match(row);
+            if (!found) continue;
+            const hitKey = buildHitKey(row);
+            if (hits.has(hitKey)) continue;
+            const event = eventsById.get(row.eventId) || {};
+            hits.set(hitKey, {
+                hitKey,
+                ...found,
+                artistName: row.artistName,
+                artistId: row.artistId || null,
+                role: row.role,
+                eventId: row.eventId,
+                venueId: row.venueId,
+                venueName: venueName(row.venueId) || row.venueId,
+                title: event.title || null,
+                eventDate: row.eventDate || null,
+                eventStartISO: row.eventStartISO || null,
+                sourceUrl: row.sourceUrl || null,
+                ticketUrl: event.ticketUrl || null,
+                foundAt: row.scrapedAt || new Date().toISOString(),
+            });
+            log.info(`Watchlist hit: ${describeHit(hits.get(hitKey))}.`);
+        }
+    };
+
+    const finish = async () => {
+        if (!enabled) return null;
+        const store = await Actor.openKeyValueStore(WATCHLIST_STORE_NAME);
+        const stored = (await store.getValue(SENT_HITS_KEY)) || {};
+        const sent = { ...(stored.sent || {}) };
+
+        const all = Array.from(hits.values()).map((h) => ({ ...h, alreadySent: Boolean(sent[h.hitKey]), notified: false }));
+        const pending = all.filter((h) => !h.alreadySent);
+
+        if (webhookUrl && persist && pending.length) {
+            const size = HITS_PER_MESSAGE[webhookFormat];
+            for (let i = 0; i < pending.length; i += size) {
+                const batch = pending.slice(i, i + size);
+                try {
+                    await postJson(webhookUrl, buildWebhookPayload(batch, webhookFormat));
+                    const now = new Date().toISOString();
+                    for (const h of batch) {
+                        h.notified = true;
+                        sent[h.hitKey] = now;
+                    }
+                } catch (e) {
+                    // Unsent hits stay pending and are tried again next run.
+                    log.warning(`Watchlist webhook failed for ${batch.length} hit(s): ${e.message}`);
+                }
+            }
+            await store.setValue(SENT_HITS_KEY, { updatedAt: new Date().toISOString(), sent });
+        }
+
+        const record = { createdAt: new Date().toISOString(), entries, fuzzy, hits: all };
+        await Actor.setValue(WATCHLIST_HITS_KEY, record);
+        const notified = all.filter((h) => h.notified).length;
+        log.info(`Watchlist: ${all.length} hit(s), ${pending.length} new, ${notified} sent to the webhook.`);
+        return record;
+    };
+
+    return { check, finish };
+};
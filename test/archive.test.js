@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { entryBody, indexArchiveEntries } from '../src/archive.js';
+
+const API = 'https://timelyapp.time.ly/api/calendars/54714987/events';
+
+const entry = (url, text, method = 'GET') => ({
+    request: { method, url },
+    response: { status: 200, headers: [], content: { text } },
+});
+
+const apiUrl = (page, { start = 1764165600, perPage = 100 } = {}) => `${API}?group_by_date=1&start_date_utc=${start}`
+    + `&end_date_utc=${start + 86400}&per_page=${perPage}&page=${page}`;
+
+const bodyOf = (found) => (found ? entryBody(found).toString() : null);
+
+describe('indexArchiveEntries', () => {
+    test('serves each API page by its own parameters when the date window moved', () => {
+        const index = indexArchiveEntries([{ log: { entries: [entry(apiUrl(1), 'page 1'), entry(apiUrl(2), 'page 2'), entry(apiUrl(3), 'page 3')] } }]);
+        const later = { start: 1764252000 };
+        assert.equal(bodyOf(index.find(apiUrl(2, later))), 'page 2');
+        assert.equal(bodyOf(index.find(apiUrl(1, later))), 'page 1');
+        assert.equal(bodyOf(index.find(apiUrl(1, later))), 'page 1');
+        assert.equal(bodyOf(index.find(apiUrl(3, later))), 'page 3');
+        assert.equal(index.find(apiUrl(4, later)), null);
+    });
+
+    test('ignores the order of query parameters', () => {
+        const index = indexArchiveEntries([{ log: { entries: [entry(`${API}?page=2&per_page=100`, 'page 2')] } }]);
+        assert.equal(bodyOf(index.find(`${API}?per_page=100&page=2`)), 'page 2');
+    });
+
+    test('replays pages recorded with other parameters in order, each once', () => {
+        const recorded = [entry(apiUrl(1, { perPage: 1000 }), 'page 1'), entry(apiUrl(2, { perPage: 1000 }), 'page 2')];
+        const index = indexArchiveEntries([{ log: { entries: recorded } }]);
+        assert.equal(bodyOf(index.find(apiUrl(1))), 'page 1');
+        assert.equal(bodyOf(index.find(apiUrl(2))), 'page 2');
+        assert.equal(index.find(apiUrl(3)), null);
+    });
+
+    test('lets an entry without a query answer every query on its path', () => {
+        const index = indexArchiveEntries([{ log: { entries: [entry(API, 'all pages')] } }]);
+        assert.equal(bodyOf(index.find(apiUrl(1))), 'all pages');
+        assert.equal(bodyOf(index.find(apiUrl(2))), 'all pages');
+    });
+
+    test('matches the exact URL first and keeps methods apart', () => {
+        const index = indexArchiveEntries([{
+            log: {
+                entries: [
+                    entry('https://continentalclub.com/austin/', 'home'),
+                    entry('https://continentalclub.com/austin/?_=1', 'busted'),
+                    entry(`${API}?page=1`, 'posted', 'POST'),
+                ],
+            },
+        }]);
+        assert.equal(bodyOf(index.find('https://continentalclub.com/austin/')), 'home');
+        assert.equal(bodyOf(index.find('https://continentalclub.com/austin/?_=2')), 'home');
+        assert.equal(index.find(`${API}?page=1`), null);
+        assert.equal(bodyOf(index.find(`${API}?page=1`, 'post')), 'posted');
+    });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { buildArtistId, canonicalArtistKey, createArtistRegistry, describeArtist } from '../src/artists.js';
+
+const now = '2025-11-26T14:00:00.000Z';
+
+describe('canonicalArtistKey', () => {
+    test('gives every spelling of a "The" act one id', () => {
+        const ids = ['The Black Angels', 'BLACK ANGELS', 'Black Angels, The', 'black angels'].map((n) => describeArtist(n).artistId);
+        assert.equal(new Set(ids).size, 1);
+        assert.equal(canonicalArtistKey('Black Angels, The'), 'black angels');
+        assert.equal(canonicalArtistKey('Theo Lawrence'), 'theo lawrence');
+    });
+
+    test('ignores diacritics and curly quotes', () => {
+        assert.equal(canonicalArtistKey('Beyoncé'), canonicalArtistKey('Beyonce'));
+        assert.equal(canonicalArtistKey('Sigur Rós'), 'sigur ros');
+        assert.equal(canonicalArtistKey('Guns N’ Roses'), canonicalArtistKey("Guns N' Roses"));
+    });
+
+    test('drops a featuring tail and reads "&" as "and"', () => {
+        assert.equal(canonicalArtistKey('Black Pumas feat. Leon Bridges'), 'black pumas');
+        assert.equal(canonicalArtistKey('Black Pumas ft Leon Bridges'), 'black pumas');
+        assert.equal(canonicalArtistKey('Black Pumas featuring Leon Bridges'), 'black pumas');
+        assert.equal(canonicalArtistKey('Shovels & Rope'), canonicalArtistKey('Shovels and Rope'));
+    });
+
+    test('returns null for names without letters or digits', () => {
+        assert.equal(canonicalArtistKey(''), null);
+        assert.equal(canonicalArtistKey(' - '), null);
+        assert.deepEqual(describeArtist(null), { artistId: null, artistNameCanonical: null });
+    });
+});
+
+describe('createArtistRegistry', () => {
+    test('resolves variants to one id and records them', () => {
+        const registry = createArtistRegistry(null, { now });
+        const a = registry.resolve('The Black Angels');
+        const b = registry.resolve('Black Angels, The');
+        assert.equal(a.artistId, b.artistId);
+        assert.deepEqual(registry.toRecord().artists[a.artistId].variants, ['The Black Angels', 'Black Angels, The']);
+        assert.equal(registry.hasChanges(), true);
+    });
+
+    test('keeps the canonical name of an act fixed within a run', () => {
+        const registry = createArtistRegistry(null, { now });
+        const first = registry.resolve('BLACK ANGELS');
+        const later = registry.resolve('The Black Angels');
+        assert.equal(first.artistNameCanonical, 'BLACK ANGELS');
+        assert.equal(later.artistNameCanonical, 'BLACK ANGELS');
+
+        // The better spelling is stored and used from the next run on.
+        const record = registry.toRecord();
+        assert.equal(record.artists[first.artistId].name, 'The Black Angels');
+        const nextRun = createArtistRegistry(record, { now });
+        assert.equal(nextRun.resolve('BLACK ANGELS').artistNameCanonical, 'The Black Angels');
+    });
+
+    test('prefers an accented spelling of an act for the next run', () => {
+        const registry = createArtistRegistry(null, { now });
+        const { artistId } = registry.resolve('Beyonce');
+        registry.resolve('Beyoncé');
+        assert.equal(registry.toRecord().artists[artistId].name, 'Beyoncé');
+    });
+
+    test('follows aliases from the stored table', () => {
+        const bandId = buildArtistId('sir woman band');
+        const table = {
+            updatedAt: now,
+            artists: { [bandId]: { artistId: bandId, name: 'Sir Woman Band', variants: ['Sir Woman Band'], firstSeenAt: now } },
+            aliases: { 'sir woman band': bandId, 'sir woman': bandId },
+        };
+        const registry = createArtistRegistry(table, { now });
+        assert.deepEqual(registry.resolve('SIR WOMAN'), { artistId: bandId, artistNameCanonical: 'Sir Woman Band' });
+        assert.equal(registry.idOf('Sir Woman'), bandId);
+    });
+
+    test('merges input aliases into the stored table and lets them win', () => {
+        const oldId = buildArtistId('sir woman');
+        const table = { updatedAt: now, artists: {}, aliases: { 'sir woman': oldId, 'black pumas': buildArtistId('black pumas') } };
+        const registry = createArtistRegistry(table, { aliases: { 'Sir Woman': 'Sir Woman Band' }, now });
+        const bandId = buildArtistId('sir woman band');
+
+        assert.equal(registry.resolve('Sir Woman').artistId, bandId);
+        const record = registry.toRecord();
+        assert.equal(record.aliases['sir woman'], bandId);
+        assert.equal(record.aliases['sir woman band'], bandId);
+        assert.equal(record.aliases['black pumas'], buildArtistId('black pumas'));
+        assert.equal(record.artists[bandId].name, 'Sir Woman Band');
+    });
+
+    test('does not report changes for names it already knows', () => {
+        const first = createArtistRegistry(null, { now });
+        first.resolve('Black Pumas');
+        const registry = createArtistRegistry(first.toRecord(), { now });
+        registry.resolve('Black Pumas');
+        assert.equal(registry.hasChanges(), false);
+        assert.equal(registry.idOf('BLACK PUMAS'), buildArtistId('black pumas'));
+    });
+});
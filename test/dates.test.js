@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { normalizeEventDate, parseClockTime } from '../src/dates.js';
+
+const scrapedAt = '2025-11-26T14:00:00.000Z';
+
+describe('normalizeEventDate', () => {
+    test('keeps a full datetime with offset as an exact local start', () => {
+        assert.deepEqual(normalizeEventDate('2025-11-28T20:00:00-06:00', { scrapedAt }), {
+            eventStartISO: '2025-11-28T20:00:00-06:00',
+            eventDate: '2025-11-28',
+            doorsTime: null,
+            showTime: '20:00',
+            dateConfidence: 'exact',
+        });
+    });
+
+    test('converts a UTC instant to the venue time zone', () => {
+        const result = normalizeEventDate('2025-11-29T02:00:00Z', { scrapedAt });
+        assert.equal(result.eventStartISO, '2025-11-28T20:00:00-06:00');
+        assert.equal(result.eventDate, '2025-11-28');
+    });
+
+    test('reads an offset after a space and ignores trailing text', () => {
+        const spaced = normalizeEventDate('2025-11-28 20:00:00 -06:00', { scrapedAt });
+        assert.equal(spaced.eventStartISO, '2025-11-28T20:00:00-06:00');
+        assert.equal(spaced.dateConfidence, 'exact');
+        const trailing = normalizeEventDate('2025-11-28T20:00:00Z tickets', { scrapedAt });
+        assert.equal(trailing.eventStartISO, '2025-11-28T14:00:00-06:00');
+        assert.equal(trailing.eventDate, '2025-11-28');
+        assert.equal(trailing.dateConfidence, 'exact');
+        assert.equal(normalizeEventDate('2025-11-28T20:00+0530', { scrapedAt }).eventStartISO, '2025-11-28T08:30:00-06:00');
+    });
+
+    test('uses the daylight-saving offset in summer', () => {
+        assert.equal(normalizeEventDate('2026-07-04 19:30:00', { scrapedAt }).eventStartISO, '2026-07-04T19:30:00-05:00');
+    });
+
+    test('reports a date without a time as dateOnly at local midnight', () => {
+        const result = normalizeEventDate('November 28, 2025', { scrapedAt });
+        assert.equal(result.eventStartISO, '2025-11-28T00:00:00-06:00');
+        assert.equal(result.dateConfidence, 'dateOnly');
+        assert.equal(result.showTime, null);
+    });
+
+    test('infers the current year for an upcoming month/day', () => {
+        const result = normalizeEventDate('Friday, Nov 28', { scrapedAt });
+        assert.equal(result.eventDate, '2025-11-28');
+        assert.equal(result.dateConfidence, 'yearInferred');
+    });
+
+    test('rolls a passed month/day over into the next year', () => {
+        assert.equal(normalizeEventDate('Jan 9', { scrapedAt }).eventDate, '2026-01-09');
+        assert.equal(normalizeEventDate('2/14', { scrapedAt: '2025-12-30T18:00:00Z' }).eventDate, '2026-02-14');
+    });
+
+    test('keeps a show from the last few weeks in the current year', () => {
+        assert.equal(normalizeEventDate('Nov 10', { scrapedAt }).eventDate, '2025-11-10');
+    });
+
+    test('lets a printed weekday pick the year', () => {
+        // Jan 2 is a Friday in 2026 and a Thursday in 2025.
+        assert.equal(normalizeEventDate('Thu, Jan 2', { scrapedAt: '2025-01-20T12:00:00Z' }).eventDate, '2025-01-02');
+        assert.equal(normalizeEventDate('Fri, Jan 2', { scrapedAt: '2025-01-20T12:00:00Z' }).eventDate, '2026-01-02');
+    });
+
+    test('takes a bare time from timeText as the start', () => {
+        const result = normalizeEventDate('Sat, Nov 29', { scrapedAt, timeText: '8:30 PM' });
+        assert.equal(result.eventStartISO, '2025-11-29T20:30:00-06:00');
+        assert.equal(result.showTime, '20:30');
+        assert.equal(result.doorsTime, null);
+    });
+
+    test('reads labelled doors and show times', () => {
+        const result = normalizeEventDate('Sat, Nov 29', { scrapedAt, timeText: 'Doors 7pm / Show 8pm' });
+        assert.equal(result.doorsTime, '19:00');
+        assert.equal(result.showTime, '20:00');
+        assert.equal(result.eventStartISO, '2025-11-29T20:00:00-06:00');
+    });
+
+    test('does not treat a doors-only start as the show time', () => {
+        const result = normalizeEventDate('2025-11-29 19:00:00', { scrapedAt, timeText: 'Doors: 7:00 PM' });
+        assert.equal(result.doorsTime, '19:00');
+        assert.equal(result.showTime, null);
+        assert.equal(result.eventStartISO, '2025-11-29T19:00:00-06:00');
+    });
+
+    test('assumes pm for a labelled time without a meridiem', () => {
+        const result = normalizeEventDate('Nov 29', { scrapedAt, timeText: 'Doors 7 / Show 8:30' });
+        assert.equal(result.doorsTime, '19:00');
+        assert.equal(result.showTime, '20:30');
+    });
+
+    test('moves a time in the spring-forward gap past the switch', () => {
+        const result = normalizeEventDate('2026-03-08 02:30:00', { scrapedAt });
+        assert.equal(result.eventStartISO, '2026-03-08T03:30:00-05:00');
+        assert.equal(result.showTime, '03:30');
+        assert.equal(result.eventDate, '2026-03-08');
+        assert.ok(!Number.isNaN(Date.parse(result.eventStartISO)));
+    });
+
+    test('moves a labelled time in the gap together with the start', () => {
+        const result = normalizeEventDate('Sun, Mar 8, 2026', { scrapedAt, timeText: 'Show 2:15am' });
+        assert.equal(result.eventStartISO, '2026-03-08T03:15:00-05:00');
+        assert.equal(result.showTime, '03:15');
+    });
+
+    test('uses the right offset on either side of a DST switch', () => {
+        assert.equal(normalizeEventDate('2026-03-08 01:30:00', { scrapedAt }).eventStartISO, '2026-03-08T01:30:00-06:00');
+        assert.equal(normalizeEventDate('2026-03-08 20:00:00', { scrapedAt }).eventStartISO, '2026-03-08T20:00:00-05:00');
+        assert.equal(normalizeEventDate('2026-11-01 20:00:00', { scrapedAt }).eventStartISO, '2026-11-01T20:00:00-06:00');
+    });
+
+    test('flags text it cannot read as unparsed and empty input as null', () => {
+        assert.equal(normalizeEventDate('TBA', { scrapedAt }).dateConfidence, 'unparsed');
+        assert.equal(normalizeEventDate(null, { scrapedAt }).dateConfidence, null);
+        assert.equal(normalizeEventDate('Nov 31', { scrapedAt }).dateConfidence, 'unparsed');
+    });
+});
+
+describe('parseClockTime', () => {
+    test('reads 12- and 24-hour times', () => {
+        assert.equal(parseClockTime('7pm'), '19:00');
+        assert.equal(parseClockTime('7:30 P.M.'), '19:30');
+        assert.equal(parseClockTime('12 am'), '00:00');
+        assert.equal(parseClockTime('12pm'), '12:00');
+        assert.equal(parseClockTime('19:45'), '19:45');
+        assert.equal(parseClockTime('13pm'), null);
+        assert.equal(parseClockTime(''), null);
+    });
+});
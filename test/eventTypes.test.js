@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { classifyEvent } from '../src/eventTypes.js';
+
+const typeOf = (fields) => classifyEvent(fields).eventType;
+
+describe('classifyEvent', () => {
+    test('reads theme nights and non-music shows from title phrases', () => {
+        assert.equal(typeOf({ title: 'Taylor Rave' }), 'djNight');
+        assert.equal(typeOf({ title: 'Emo Night Dance Party' }), 'djNight');
+        assert.equal(typeOf({ title: 'Tuesday Trivia Night' }), 'trivia');
+        assert.equal(typeOf({ title: 'East Side Flea Market' }), 'market');
+        assert.equal(typeOf({ title: 'Stand-Up Comedy Showcase' }), 'comedy');
+        assert.equal(typeOf({ title: 'Private Event' }), 'private');
+        assert.equal(typeOf({ title: 'Hole in the Wall Karaoke' }), 'other');
+    });
+
+    test('keeps acts whose names contain a keyword as concerts', () => {
+        for (const name of [
+            'Black Market Karma',
+            'Market Hotel',
+            'Bingo Players',
+            'Yoga Lin',
+            'Rave On: A Buddy Holly Tribute',
+            'DJ Shadow',
+            'The Comedians',
+            'Trivium',
+            'Screeching Weasel',
+            'Drag City Allstars',
+        ]) {
+            assert.equal(typeOf({ title: name }), 'concert', name);
+        }
+    });
+
+    test('lets a music category win over a keyword in the title', () => {
+        assert.equal(typeOf({ title: 'Disco Night', categories: ['Live Music'] }), 'concert');
+        assert.equal(typeOf({ title: 'Barfield The Tyrant', categories: ['Live Music', 'Happy Hour'] }), 'concert');
+    });
+
+    test('takes a bare keyword from a category', () => {
+        assert.equal(typeOf({ title: 'Open Mic with Sam', categories: ['Comedy'] }), 'comedy');
+        assert.equal(typeOf({ title: 'Sunday Funday', categories: ['Markets'] }), 'market');
+        assert.equal(typeOf({ title: 'Hole in the Wall', categories: ['Karaoke'] }), 'other');
+        assert.equal(typeOf({ title: 'Laugh Riot', categories: ['Comedy Shows'] }), 'comedy');
+    });
+
+    test('falls back to the JSON-LD type, then the description', () => {
+        assert.equal(typeOf({ title: 'Laugh Riot', jsonLdType: 'ComedyEvent' }), 'comedy');
+        assert.equal(typeOf({ title: 'Late Show', jsonLdType: 'MusicEvent', description: 'Trivia night after the set' }), 'concert');
+        assert.equal(typeOf({ title: 'Late Show', description: 'A themed dance party with DJs spinning all night.' }), 'djNight');
+        assert.equal(typeOf({ title: 'Headliner', description: 'DJs between sets and the market next door.' }), 'concert');
+        assert.equal(typeOf({}), 'concert');
+    });
+
+    test('flags tribute acts from title, description or URL', () => {
+        assert.equal(classifyEvent({ title: 'Purple Xperience: A Tribute to Prince' }).isTribute, true);
+        assert.equal(classifyEvent({ title: 'Hard Day', description: 'Performing the music of The Beatles' }).isTribute, true);
+        assert.equal(classifyEvent({ title: 'Power Trip', sourceUrl: 'https://example.com/event/power-trip-tribute/' }).isTribute, true);
+        assert.equal(classifyEvent({ title: 'Power Trip' }).isTribute, false);
+        assert.equal(typeOf({ title: 'Purple Xperience: A Tribute to Prince' }), 'concert');
+    });
+});
@@ -0,0 +1,201 @@
+// ------------------------------------------------------------------------
+// Offline parser harness
+// Every fixture case lives in test/fixtures/<venueId>/<case>.json:
+//   {
+//     "description": "...",
+//     "parserId": "mohawkAustin",
+//     "url": "https://mohawkaustin.com/",          // page the parser runs on
+//     "userData": { ... },                         // request.userData (optional)
+//     "scrapedAt": "2025-11-26T14:00:00.000Z",     // pins year inference
+//     "routes": { "<url>": "file.html" | { "file", "contentType", "status" } },
+//     "archive": "recorded.har.json",              // optional, see src/archive.js
+//     "venue": { "id", "startUrl", "selectors" | "timely" },  // optional configured venue
+//     "render": true                               // static parsers: parse the rendered page
+//   }
+// Routes and archive entries answer both page navigations and page.request
+// calls (the Timely API), exactly as replay mode does in a real run. Anything
+// not listed is aborted, so a case never touches the network. Parsers with
+// `browser: false` get the response for `url` as a Cheerio document, as on
+// the HTTP crawler; pass "render": true to parse the browser-rendered HTML
+// like the Playwright fallback does.
+// The expected output is stored next to the case as <case>.expected.json.
+// ------------------------------------------------------------------------
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { createReplayRequestContext, entryBody, indexArchiveEntries, toFulfillOptions, withPageRequest } from '../src/archive.js';
+import { normalizeItems } from '../src/normalize.js';
+import { loadHtml } from '../src/static.js';
+import { buildConfiguredVenue } from '../src/venues/configured.js';
+import { getParser, getVenue, registerVenue } from '../src/venues/index.js';
+import { buildTimelyVenue } from '../src/venues/timely.js';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.ics': 'text/calendar; charset=utf-8',
+};
+
+const quietLog = { debug() {}, info() {}, warning() {}, error() {}, exception() {} };
+
+export const FIXTURES_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures');
+
+// Returns [{ name, venueId, dir, casePath, expectedPath, spec }] sorted by name.
+export const loadCases = async (fixturesDir = FIXTURES_DIR) => {
+    const cases = [];
+    const venueDirs = (await fs.readdir(fixturesDir, { withFileTypes: true })).filter((d) => d.isDirectory());
+
+    for (const venueDir of venueDirs) {
+        const dir = path.join(fixturesDir, venueDir.name);
+        const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json') && !f.endsWith('.expected.json'));
+        for (const file of files) {
+            const casePath = path.join(dir, file);
+            const spec = JSON.parse(await fs.readFile(casePath, 'utf8'));
+            // Payload files (e.g. a saved API response) are .json too; a case has a parserId.
+            if (!spec.parserId) continue;
+            cases.push({
+                name: `${venueDir.name}/${path.basename(file, '.json')}`,
+                venueId: venueDir.name,
+                dir,
+                casePath,
+                expectedPath: casePath.replace(/\.json$/, '.expected.json'),
+                spec,
+            });
+        }
+    }
+
+    return cases.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Turns the case's routes (and archive file, if any) into archive entries;
+// routes win over archived responses for the same URL.
+const loadCaseArchive = async (dir, { routes = {}, archive }) => {
+    const archives = [];
+    if (archive) archives.push(JSON.parse(await fs.readFile(path.join(dir, archive), 'utf8')));
+
+    const entries = [];
+    for (const [url, route] of Object.entries(routes)) {
+        const { file, contentType, status = 200 } = typeof route === 'string' ? { file: route } : route;
+        const body = await fs.readFile(path.join(dir, file));
+        entries.push({
+            request: { method: 'GET', url },
+            response: {
+                status,
+                headers: [{ name: 'content-type', value: contentType || CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }],
+                content: { text: body.toString('base64'), encoding: 'base64' },
+            },
+        });
+    }
+    archives.push({ log: { entries } });
+
+    return indexArchiveEntries(archives);
+};
+
+// Only the fields a parser regression shows up in; scrapedAt and eventId
+// are derived and would only add noise.
+const summarizeRow = (row) => ({
+    role: row.role,
+    artistName: row.artistName,
+    artistId: row.artistId,
+    artistNameCanonical: row.artistNameCanonical,
+    eventDateRaw: row.eventDateRaw,
+    eventDate: row.eventDate,
+    eventStartISO: row.eventStartISO,
+    doorsTime: row.doorsTime,
+    showTime: row.showTime,
+    room: row.room,
+    ageRestriction: row.ageRestriction,
+    dateConfidence: row.dateConfidence,
+    eventType: row.eventType,
+    isTribute: row.isTribute,
+    sourceUrl: row.sourceUrl,
+});
+
+// Opens the case URL in a fresh browser context served from `index`.
+// Returns { page, close }.
+const openCasePage = async (browser, index, spec) => {
+    const browserContext = await browser.newContext({ javaScriptEnabled: spec.javaScriptEnabled !== false });
+    try {
+        await browserContext.route('**/*', async (route) => {
+            const entry = index.find(route.request().url(), route.request().method());
+            return entry ? route.fulfill(toFulfillOptions(entry)) : route.abort();
+        });
+        const rawPage = await browserContext.newPage();
+        await rawPage.goto(spec.url, { waitUntil: 'load' });
+        const page = withPageRequest(rawPage, createReplayRequestContext(index.find));
+        return { page, close: () => browserContext.close() };
+    } catch (e) {
+        await browserContext.close();
+        throw e;
+    }
+};
+
+// Runs one case and returns { items, queued, rows } ready to compare
+// against the golden file.
+export const runCase = async (browser, { dir, spec }) => {
+    if (spec.venue && !getVenue(spec.venue.id)) {
+        registerVenue(spec.venue.timely ? buildTimelyVenue(spec.venue) : buildConfiguredVenue(spec.venue));
+    }
+    const parser = getParser(spec.parserId);
+    if (!parser) throw new Error(`Unknown parserId "${spec.parserId}".`);
+    const venue = getVenue(parser.venueId);
+
+    const index = await loadCaseArchive(dir, spec);
+    const request = {
+        url: spec.url,
+        loadedUrl: spec.url,
+        userData: { venueId: parser.venueId, parserId: spec.parserId, ...(spec.userData || {}) },
+    };
+    const queued = [];
+    const context = {
+        request,
+        log: quietLog,
+        crawler: { addRequests: async (requests) => { queued.push(...requests); } },
+    };
+
+    let items;
+    if (parser.browser === false && !spec.render) {
+        const entry = index.find(spec.url);
+        if (!entry) throw new Error(`No route for ${spec.url}.`);
+        const $ = loadHtml(entryBody(entry).toString('utf8'), spec.url);
+        items = (await parser.parse({ $, request, context, log: quietLog })) || [];
+    } else {
+        const { page, close } = await openCasePage(browser, index, spec);
+        try {
+            const target = parser.browser === false ? { $: loadHtml(await page.content(), page.url()) } : { page };
+            items = (await parser.parse({ ...target, request, context: { ...context, page }, log: quietLog })) || [];
+        } finally {
+            await close();
+        }
+    }
+
+    const { rows } = normalizeItems(items, {
+        venueId: request.userData.venueId,
+        parserKey: spec.parserId,
+        request,
+        timeZone: venue ? venue.timezone : undefined,
+        scrapedAt: spec.scrapedAt,
+    });
+
+    // Round-trip through JSON so undefined fields match the golden file.
+    return JSON.parse(JSON.stringify({
+        items,
+        queued: queued.map((r) => ({ url: r.url, userData: r.userData })),
+        rows: rows.map(summarizeRow),
+    }));
+};
+
+export const readExpected = async (expectedPath) => {
+    try {
+        return JSON.parse(await fs.readFile(expectedPath, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+};
+
+export const writeExpected = async (expectedPath, actual) => {
+    await fs.writeFile(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+};
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import { buildCalendar, calendarKey, COMBINED_CALENDAR_KEY, saveCalendars } from '../src/ical.js';
+
+// Key-value stores go to a throwaway directory instead of ./storage.
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ical-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const quietLog = { debug() {}, info() {}, warning() {}, error() {}, exception() {} };
+
+const venues = [{ id: 'mohawkAustin', name: 'Mohawk' }, { id: 'stubbsAustin', name: "Stubb's" }];
+
+const event = (eventId, { venueId = 'mohawkAustin', title = 'Show', ...rest } = {}) => ({
+    eventId,
+    venueId,
+    title,
+    eventDate: '2025-12-05',
+    eventStartISO: '2025-12-05T20:00:00-06:00',
+    showTime: '20:00',
+    lineup: [{ artistName: title, role: 'headliner' }],
+    ...rest,
+});
+
+// Joins folded lines back together.
+const unfold = (ics) => ics.replace(/\r\n[ \t]/g, '');
+const uids = (ics) => unfold(ics).split('\r\n').filter((l) => l.startsWith('UID:'));
+
+describe('buildCalendar', () => {
+    test('escapes TEXT values', () => {
+        const ics = buildCalendar([event('e1', { title: 'Tom; Jerry, Band\\Co', ageRestriction: 'All ages\nBar 21+' })]);
+        const lines = unfold(ics).split('\r\n');
+        assert.ok(lines.includes('SUMMARY:Tom\\; Jerry\\, Band\\\\Co'));
+        assert.ok(lines.some((l) => l.startsWith('DESCRIPTION:') && l.includes('All ages\\nBar 21+')));
+    });
+
+    test('folds lines at 75 octets without splitting characters', () => {
+        const ics = buildCalendar([event('e1', { title: `Sigur Rós ${'é'.repeat(80)}` })]);
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, line);
+            assert.ok(!line.includes('�'));
+        }
+        assert.ok(ics.includes('\r\n '));
+        assert.ok(unfold(ics).includes(`SUMMARY:Sigur Rós ${'é'.repeat(80)}\r\n`));
+    });
+
+    test('derives UIDs from the eventId only', () => {
+        const first = buildCalendar([event('e1'), event('e2')], { now: new Date('2025-11-01T00:00:00Z') });
+        const second = buildCalendar([event('e2', { title: 'Renamed' }), event('e1', { eventStartISO: '2025-12-05T21:00:00-06:00' })], { now: new Date('2025-11-02T00:00:00Z') });
+        assert.deepEqual(uids(first), ['UID:e1@austin-venues-scraper', 'UID:e2@austin-venues-scraper']);
+        assert.deepEqual(uids(second).sort(), uids(first));
+    });
+
+    test('writes a date without a time as an all-day entry', () => {
+        const ics = buildCalendar([event('e1', { showTime: null, eventStartISO: null })]);
+        assert.ok(ics.includes('DTSTART;VALUE=DATE:20251205\r\n'));
+        assert.ok(!ics.includes('DURATION:'));
+    });
+});
+
+describe('saveCalendars', () => {
+    test('keeps the previous feed of a venue whose requests failed', async () => {
+        const storeName = 'calendars-failed';
+        await saveCalendars({
+            events: [event('m1', { title: 'Black Pumas' }), event('s1', { venueId: 'stubbsAustin', title: 'Spoon' })],
+            venues,
+            venueIds: ['mohawkAustin', 'stubbsAustin'],
+            storeName,
+            log: quietLog,
+        });
+        const store = await Actor.openKeyValueStore(storeName);
+        const stubbsBefore = await store.getValue(calendarKey('stubbsAustin'));
+
+        // Stubb's times out: no events from it this run.
+        await saveCalendars({
+            events: [event('m2', { title: 'Graves' })],
+            venues,
+            venueIds: ['mohawkAustin', 'stubbsAustin'],
+            failedVenueIds: ['stubbsAustin'],
+            storeName,
+            log: quietLog,
+        });
+
+        assert.equal(await store.getValue(calendarKey('stubbsAustin')), stubbsBefore);
+        assert.deepEqual(uids(await store.getValue(calendarKey('mohawkAustin'))), ['UID:m2@austin-venues-scraper']);
+        const combined = await store.getValue(COMBINED_CALENDAR_KEY);
+        assert.deepEqual(uids(combined), ['UID:m2@austin-venues-scraper', 'UID:s1@austin-venues-scraper']);
+        assert.ok(unfold(combined).includes('SUMMARY:Spoon\r\n'));
+    });
+
+    test('writes a failed venue without a stored feed from this run', async () => {
+        const storeName = 'calendars-first-run';
+        await saveCalendars({
+            events: [event('s1', { venueId: 'stubbsAustin', title: 'Spoon' })],
+            venues,
+            venueIds: ['stubbsAustin'],
+            failedVenueIds: ['stubbsAustin'],
+            storeName,
+            log: quietLog,
+        });
+        const store = await Actor.openKeyValueStore(storeName);
+        assert.deepEqual(uids(await store.getValue(calendarKey('stubbsAustin'))), ['UID:s1@austin-venues-scraper']);
+        assert.deepEqual(uids(await store.getValue(COMBINED_CALENDAR_KEY)), ['UID:s1@austin-venues-scraper']);
+    });
+
+    test('empties the feed of a complete crawl without shows', async () => {
+        const storeName = 'calendars-empty';
+        const store = await Actor.openKeyValueStore(storeName);
+        await saveCalendars({ events: [event('s1', { venueId: 'stubbsAustin' })], venues, venueIds: ['stubbsAustin'], storeName, log: quietLog });
+        await saveCalendars({ events: [], venues, venueIds: ['stubbsAustin'], storeName, log: quietLog });
+        assert.deepEqual(uids(await store.getValue(calendarKey('stubbsAustin'))), []);
+    });
+});
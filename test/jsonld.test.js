@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { eventToMusicEvent, extractJsonLdEvents } from '../src/jsonld.js';
+
+const event = (offers, rest = {}) => ({
+    eventId: 'e1',
+    venueId: 'mohawkAustin',
+    title: 'Black Pumas',
+    eventDate: '2025-12-05',
+    eventStartISO: '2025-12-05T20:00:00-06:00',
+    showTime: '20:00',
+    lineup: [{ artistName: 'Black Pumas', artistId: 'a1', role: 'headliner' }],
+    ticketUrl: 'https://tickets.example/e1',
+    offers,
+    ...rest,
+});
+
+describe('eventToMusicEvent', () => {
+    test('writes a price range as an AggregateOffer', () => {
+        const { offers } = eventToMusicEvent(event({ priceMin: 25, priceMax: 30, currency: 'USD', availability: 'available' }));
+        assert.deepEqual(offers, {
+            '@type': 'AggregateOffer',
+            url: 'https://tickets.example/e1',
+            lowPrice: 25,
+            highPrice: 30,
+            priceCurrency: 'USD',
+            availability: 'https://schema.org/InStock',
+        });
+    });
+
+    test('writes a single price as an Offer with price', () => {
+        const { offers } = eventToMusicEvent(event({ priceMin: 25, priceMax: 25, currency: 'USD' }));
+        assert.deepEqual(offers, { '@type': 'Offer', url: 'https://tickets.example/e1', price: 25, priceCurrency: 'USD' });
+    });
+
+    test('keeps an Offer for a ticket link without prices', () => {
+        assert.deepEqual(eventToMusicEvent(event(null)).offers, { '@type': 'Offer', url: 'https://tickets.example/e1' });
+        assert.equal(eventToMusicEvent(event(null, { ticketUrl: null })).offers, undefined);
+    });
+});
+
+describe('extractJsonLdEvents offers', () => {
+    const offersOf = (offers) => extractJsonLdEvents([{
+        '@type': 'MusicEvent',
+        name: 'Black Pumas',
+        startDate: '2025-12-05T20:00:00-06:00',
+        offers,
+    }])[0].offers;
+
+    test('reads a price range string into low and high', () => {
+        const offers = offersOf({ '@type': 'Offer', price: '25.00 - 30.00', priceCurrency: 'USD' });
+        assert.equal(offers.priceMin, 25);
+        assert.equal(offers.priceMax, 30);
+        assert.equal(offersOf({ '@type': 'Offer', price: '$25 to $30' }).priceMax, 30);
+        assert.equal(offersOf({ '@type': 'Offer', price: '25–30' }).priceMin, 25);
+    });
+
+    test('reads thousands separators and currency signs', () => {
+        assert.equal(offersOf({ '@type': 'Offer', price: '$1,250' }).priceMin, 1250);
+        assert.equal(offersOf({ '@type': 'Offer', price: '$25.00 plus fees' }).priceMax, 25);
+        assert.equal(offersOf({ '@type': 'Offer', price: 18 }).priceMin, 18);
+    });
+
+    test('combines the prices of several offers', () => {
+        const offers = offersOf([{ '@type': 'Offer', price: '20' }, { '@type': 'AggregateOffer', lowPrice: '35', highPrice: '75.50' }]);
+        assert.equal(offers.priceMin, 20);
+        assert.equal(offers.priceMax, 75.5);
+    });
+
+    test('leaves a price without digits out', () => {
+        const offers = offersOf({ '@type': 'Offer', price: 'Free', url: 'https://tickets.example/e1' });
+        assert.equal(offers.priceMin, null);
+        assert.equal(offers.url, 'https://tickets.example/e1');
+    });
+});
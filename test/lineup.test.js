@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { addProtectedNames, parseLineup, splitArtistNames } from '../src/lineup.js';
+
+const names = (lineup) => lineup.map((a) => a.artistName);
+
+describe('parseLineup', () => {
+    test('splits "with" into headliner and supports', () => {
+        assert.deepEqual(parseLineup('Headliner with Opener One and Opener Two'), [
+            { role: 'headliner', artistName: 'Headliner' },
+            { role: 'support', artistName: 'Opener One' },
+            { role: 'support', artistName: 'Opener Two' },
+        ]);
+    });
+
+    test('reads w/, featuring and ft. as support connectors', () => {
+        assert.deepEqual(names(parseLineup('Headliner w/ Opener')), ['Headliner', 'Opener']);
+        assert.deepEqual(names(parseLineup('Headliner featuring Guest One, Guest Two')), ['Headliner', 'Guest One', 'Guest Two']);
+        assert.deepEqual(names(parseLineup('Headliner ft. Singer')), ['Headliner', 'Singer']);
+    });
+
+    test('lists a co-bill headliner first', () => {
+        assert.deepEqual(names(parseLineup('Holy Wave / Night Beats / Sun Room')), ['Holy Wave', 'Night Beats', 'Sun Room']);
+        assert.deepEqual(names(parseLineup('Holy Wave/Night Beats')), ['Holy Wave', 'Night Beats']);
+        assert.deepEqual(names(parseLineup('Band One + Band Two')), ['Band One', 'Band Two']);
+    });
+
+    test('drops placeholders for unnamed acts', () => {
+        assert.deepEqual(names(parseLineup('Headliner + Special Guests')), ['Headliner']);
+        assert.deepEqual(names(parseLineup('Headliner with very special guest')), ['Headliner']);
+        assert.deepEqual(names(parseLineup('Headliner, Opener and more TBA')), ['Headliner', 'Opener']);
+    });
+
+    test('does not turn "& Friends" into an act', () => {
+        assert.deepEqual(names(parseLineup('Dale Watson & Friends')), ['Dale Watson']);
+        assert.deepEqual(names(parseLineup('Dale Watson and Friends')), ['Dale Watson']);
+        assert.deepEqual(names(parseLineup('Dale Watson with Opener and friends')), ['Dale Watson', 'Opener']);
+        assert.deepEqual(names(parseLineup('Dale Watson + Special Friends')), ['Dale Watson']);
+    });
+
+    test('keeps a band attached to its leader', () => {
+        assert.deepEqual(names(parseLineup('Nick Cave & the Bad Seeds')), ['Nick Cave & the Bad Seeds']);
+        assert.deepEqual(names(parseLineup('Florence and the Machine with Opener')), ['Florence and the Machine', 'Opener']);
+        assert.deepEqual(names(parseLineup('Charley Crockett & His Blue Drifters')), ['Charley Crockett & His Blue Drifters']);
+    });
+
+    test('splits two "The" bands joined by &', () => {
+        assert.deepEqual(names(parseLineup('The Marked Men & The Haunt')), ['The Marked Men', 'The Haunt']);
+    });
+
+    test('gives a name one band at most', () => {
+        assert.deepEqual(names(parseLineup('Bob Wayne & the Outlaws and The Band of Heathens')), ['Bob Wayne & the Outlaws', 'The Band of Heathens']);
+    });
+
+    test('never splits protected names', () => {
+        assert.deepEqual(names(parseLineup('Earth, Wind & Fire with Opener')), ['Earth, Wind & Fire', 'Opener']);
+        assert.deepEqual(names(parseLineup('AC/DC')), ['AC/DC']);
+        assert.deepEqual(names(parseLineup('Crosby, Stills, Nash & Young / Tegan and Sara')), ['Crosby, Stills, Nash & Young', 'Tegan and Sara']);
+    });
+
+    test('honours protected names added at runtime', () => {
+        assert.deepEqual(names(parseLineup('Hard Proof & Friends Of Mine')), ['Hard Proof', 'Friends Of Mine']);
+        addProtectedNames('Hard Proof & Friends Of Mine\n');
+        assert.deepEqual(names(parseLineup('Hard Proof & Friends Of Mine')), ['Hard Proof & Friends Of Mine']);
+    });
+
+    test('strips promoter prefixes, set times and parentheses', () => {
+        assert.deepEqual(names(parseLineup('Transmission Events presents: Headliner (Album Release) w/ Opener @ 8pm')), ['Headliner', 'Opener']);
+    });
+
+    test('appends support lines and keeps the first position of duplicates', () => {
+        assert.deepEqual(parseLineup('Headliner with Opener', { supports: ['with Opener, Second Opener'] }), [
+            { role: 'headliner', artistName: 'Headliner' },
+            { role: 'support', artistName: 'Opener' },
+            { role: 'support', artistName: 'Second Opener' },
+        ]);
+    });
+});
+
+describe('splitArtistNames', () => {
+    test('strips a leading connector and splits the list', () => {
+        assert.deepEqual(splitArtistNames('with A Band, B Band & C Band'), ['A Band', 'B Band', 'C Band']);
+        assert.deepEqual(splitArtistNames('Special guests: A Band; B Band'), ['A Band', 'B Band']);
+        assert.deepEqual(splitArtistNames('Openers: A Band and friends'), ['A Band']);
+        assert.deepEqual(splitArtistNames(''), []);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { calendarFallbackItem, normalizeItems } from '../src/normalize.js';
+
+const scrapedAt = '2025-11-26T14:00:00.000Z';
+
+describe('calendarFallbackItem', () => {
+    const request = {
+        url: 'https://parishaustin.com/events/headliner/',
+        userData: {
+            venueId: 'parishAustin',
+            parserId: 'parishAustinEvent',
+            calendarTitle: 'Headliner',
+            calendarSupports: ['with Opener'],
+            calendarDateText: 'Friday, Dec 5',
+            calendarTimeText: '8:00 pm',
+        },
+    };
+
+    test('rebuilds the show from what the calendar put in userData', () => {
+        assert.deepEqual(calendarFallbackItem(request, 'Navigation timed out'), {
+            title: 'Headliner',
+            headliner: 'Headliner',
+            supportingActs: ['with Opener'],
+            eventDateRaw: 'Friday, Dec 5',
+            timeText: '8:00 pm',
+            sourceUrl: 'https://parishaustin.com/events/headliner/',
+            extractionLevel: 'calendar',
+            failureReason: 'Navigation timed out',
+        });
+    });
+
+    test('returns null without a calendar title', () => {
+        assert.equal(calendarFallbackItem({ url: request.url, userData: { venueId: 'parishAustin' } }, 'failed'), null);
+        assert.equal(calendarFallbackItem(null, 'failed'), null);
+    });
+
+    test('normalizes into calendar-level rows and an event with the failure reason', () => {
+        const { rows, events } = normalizeItems([calendarFallbackItem(request, 'Navigation timed out')], {
+            venueId: 'parishAustin',
+            parserKey: 'parishAustinEvent',
+            request,
+            scrapedAt,
+            extractionLevel: 'detail',
+        });
+
+        assert.deepEqual(rows.map((r) => [r.role, r.artistName, r.extractionLevel, r.failureReason]), [
+            ['headliner', 'Headliner', 'calendar', 'Navigation timed out'],
+            ['support', 'Opener', 'calendar', 'Navigation timed out'],
+        ]);
+        assert.equal(rows[0].eventStartISO, '2025-12-05T20:00:00-06:00');
+        assert.equal(events.length, 1);
+        assert.equal(events[0].extractionLevel, 'calendar');
+        assert.equal(events[0].failureReason, 'Navigation timed out');
+        assert.equal(events[0].eventId, rows[0].eventId);
+    });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { finalizeOffers, mergeOffers, parseTicketLines, ticketVendorOf } from '../src/offers.js';
+
+const scrapedAt = '2025-11-26T14:00:00.000Z';
+
+const summary = (fields) => ({
+    priceMin: null,
+    priceMax: null,
+    currency: null,
+    isFree: null,
+    availability: null,
+    onSaleText: null,
+    presaleText: null,
+    ...fields,
+});
+
+describe('parseTicketLines', () => {
+    test('reads advance and day-of-show prices next to "+ fees"', () => {
+        assert.deepEqual(parseTicketLines(['$15 ADV / $20 DOS + fees']), summary({ priceMin: 15, priceMax: 20, currency: 'USD', isFree: false }));
+        assert.deepEqual(parseTicketLines(['Tickets: $25 plus fees']), summary({ priceMin: 25, priceMax: 25, currency: 'USD', isFree: false }));
+        assert.deepEqual(parseTicketLines(['Tickets 18.50 USD']), summary({ priceMin: 18.5, priceMax: 18.5, currency: 'USD', isFree: false }));
+    });
+
+    test('skips prices next to a non-admission word', () => {
+        assert.equal(parseTicketLines(['$3 wells all night']), null);
+        assert.equal(parseTicketLines(['Parking $10']), null);
+        assert.deepEqual(parseTicketLines(['Parking: $10, tickets $30']), summary({ priceMin: 30, priceMax: 30, currency: 'USD', isFree: false }));
+        assert.deepEqual(parseTicketLines(['$30 + $4.50 fee']), summary({ priceMin: 30, priceMax: 30, currency: 'USD', isFree: false }));
+    });
+
+    test('does not read dates and times as prices', () => {
+        assert.equal(parseTicketLines(['Friday, Dec 5 - Doors 7pm']), null);
+    });
+
+    test('recognizes free shows and treats $0 as free', () => {
+        assert.deepEqual(parseTicketLines(['No cover']), summary({ priceMin: 0, priceMax: 0, isFree: true }));
+        assert.deepEqual(parseTicketLines(['Admission: $0']), summary({ priceMin: 0, priceMax: 0, currency: 'USD', isFree: true }));
+        assert.equal(parseTicketLines(['Free w/ RSVP', '$20 VIP']).isFree, false);
+    });
+
+    test('reads availability', () => {
+        assert.equal(parseTicketLines(['SOLD OUT']).availability, 'soldOut');
+        assert.equal(parseTicketLines(['Low tickets!']).availability, 'limited');
+        assert.equal(parseTicketLines(['On sale now']).availability, 'available');
+        assert.equal(parseTicketLines(['Get yours before it sells out']), null);
+    });
+
+    test('keeps on-sale and presale dates apart', () => {
+        const result = parseTicketLines(['Presale starts Tue, Dec 2 at 10am', 'On sale: Friday, Dec 5 10:00 AM']);
+        assert.equal(result.presaleText, 'Tue, Dec 2 at 10am');
+        assert.equal(result.onSaleText, 'Friday, Dec 5 10:00 AM');
+    });
+
+    test('ignores long description lines and empty input', () => {
+        assert.equal(parseTicketLines([`${'A long paragraph about the band. '.repeat(8)}$20`]), null);
+        assert.equal(parseTicketLines([]), null);
+        assert.equal(parseTicketLines(null), null);
+    });
+});
+
+describe('mergeOffers', () => {
+    test('fills fields from later sources without overwriting earlier ones', () => {
+        assert.deepEqual(
+            mergeOffers({ priceMin: 20, url: null }, { priceMin: 15, priceMax: 25, url: 'https://www.etix.com/ticket/p/1' }),
+            { priceMin: 20, priceMax: 25, url: 'https://www.etix.com/ticket/p/1' },
+        );
+    });
+
+    test('lets a page that says sold out or limited override "available"', () => {
+        assert.equal(mergeOffers({ availability: 'available' }, { availability: 'soldOut' }).availability, 'soldOut');
+        assert.equal(mergeOffers({ availability: 'soldOut' }, { availability: 'limited' }).availability, 'soldOut');
+        assert.equal(mergeOffers({ availability: 'presale' }, { availability: 'available' }).availability, 'presale');
+    });
+
+    test('returns null when no source says anything', () => {
+        assert.equal(mergeOffers(null, undefined, { url: null }), null);
+        assert.equal(mergeOffers(), null);
+    });
+});
+
+describe('finalizeOffers', () => {
+    test('normalizes on-sale dates to venue time and names the vendor', () => {
+        const offers = parseTicketLines(['$15 ADV / $20 DOS + fees', 'On sale: Friday, Dec 5 10:00 AM']);
+        assert.deepEqual(finalizeOffers(mergeOffers(offers, { url: 'https://www.ticketmaster.com/event/123' }), { scrapedAt }), {
+            priceMin: 15,
+            priceMax: 20,
+            currency: 'USD',
+            isFree: false,
+            availability: null,
+            onSaleAt: '2025-12-05T10:00:00-06:00',
+            presaleAt: null,
+            url: 'https://www.ticketmaster.com/event/123',
+            vendor: 'ticketmaster',
+            validFrom: null,
+        });
+    });
+
+    test('falls back to ticketUrl and JSON-LD validFrom', () => {
+        const result = finalizeOffers({ priceMin: 0, priceMax: 0, validFrom: '2025-11-28T10:00:00-06:00' }, { ticketUrl: 'https://dice.fm/event/abc', scrapedAt });
+        assert.equal(result.isFree, true);
+        assert.equal(result.onSaleAt, '2025-11-28T10:00:00-06:00');
+        assert.equal(result.validFrom, '2025-11-28T10:00:00-06:00');
+        assert.equal(result.vendor, 'dice');
+    });
+
+    test('returns null when nothing is known', () => {
+        assert.equal(finalizeOffers(null, { scrapedAt }), null);
+        assert.equal(finalizeOffers({}, { ticketUrl: null, scrapedAt }), null);
+    });
+});
+
+describe('ticketVendorOf', () => {
+    test('names known sellers by host only', () => {
+        assert.equal(ticketVendorOf('https://www.etix.com/ticket/p/123'), 'etix');
+        assert.equal(ticketVendorOf('https://concerts.livenation.com/x'), 'ticketmaster');
+        assert.equal(ticketVendorOf('https://example.com/?ref=etix.com'), null);
+        assert.equal(ticketVendorOf('not a url'), null);
+    });
+});
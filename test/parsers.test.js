@@ -0,0 +1,47 @@
+// Runs every venue parser against its saved fixtures and compares the result
+// with the stored golden output. Fully offline.
+//
+//   npm test                      compare against *.expected.json
+//   UPDATE_GOLDEN=1 npm test      rewrite the golden files after an intended change
+//
+// CHROMIUM_EXECUTABLE_PATH points Playwright at a browser other than its own.
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { chromium } from 'playwright';
+
+import { loadCases, readExpected, runCase, writeExpected } from './harness.js';
+
+const updateGolden = process.env.UPDATE_GOLDEN === '1';
+const cases = await loadCases();
+
+describe('venue parsers (fixtures)', () => {
+    let browser;
+
+    before(async () => {
+        browser = await chromium.launch({
+            headless: true,
+            executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+        });
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+    });
+
+    for (const fixture of cases) {
+        test(`${fixture.name}: ${fixture.spec.description || fixture.spec.parserId}`, async () => {
+            const actual = await runCase(browser, fixture);
+
+            if (updateGolden) {
+                await writeExpected(fixture.expectedPath, actual);
+                return;
+            }
+
+            const expected = await readExpected(fixture.expectedPath);
+            assert.ok(expected, `No golden file for ${fixture.name}; run with UPDATE_GOLDEN=1 to create it.`);
+            assert.deepEqual(actual, expected);
+        });
+    }
+});
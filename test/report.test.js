@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createRunReport, evaluateReport } from '../src/report.js';
+
+const venue = (stats) => ({ requestsHandled: 1, requestsFailed: 0, rowsPushed: 10, previousRowsPushed: null, ...stats });
+
+describe('evaluateReport', () => {
+    test('warns about an empty calendar without failed requests', () => {
+        const alerts = evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 0 }) } });
+        assert.deepEqual(alerts.map((a) => [a.type, a.severity]), [['noRows', 'warning']]);
+    });
+
+    test('fails a venue without rows when requests failed', () => {
+        const alerts = evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 0, requestsHandled: 0, requestsFailed: 1 }) } });
+        assert.deepEqual(alerts.map((a) => [a.type, a.severity]), [['noRows', 'error'], ['failures', 'error']]);
+    });
+
+    test('fails a venue that went empty after a run with rows', () => {
+        const report = { venues: { mohawkAustin: venue({ rowsPushed: 0, previousRowsPushed: 60 }) } };
+        const alerts = evaluateReport(report);
+        assert.deepEqual(alerts.map((a) => [a.type, a.severity]), [['noRows', 'error'], ['dropOff', 'error']]);
+        assert.match(alerts[0].message, /previous run had 60/);
+        assert.deepEqual(evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 0, previousRowsPushed: 2 }) } })
+            .map((a) => [a.type, a.severity]), [['noRows', 'warning']]);
+    });
+
+    test('flags a sharp drop against the previous run', () => {
+        const alerts = evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 4, previousRowsPushed: 20 }) } });
+        assert.deepEqual(alerts.map((a) => [a.type, a.severity]), [['dropOff', 'error']]);
+        assert.deepEqual(evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 1, previousRowsPushed: 4 }) } }), []);
+    });
+
+    test('keeps defaults for unset thresholds', () => {
+        const alerts = evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 3 }) } }, { minRowsPerVenue: 5, maxRowDropPercent: undefined });
+        assert.deepEqual(alerts.map((a) => a.type), ['noRows']);
+    });
+
+    test('counts rows left out by concertsOnly as output', () => {
+        assert.deepEqual(evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 0, rowsFiltered: 6 }) } }), []);
+        assert.deepEqual(evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 2, rowsFiltered: 8, previousRowsPushed: 12 }) } }), []);
+        const alerts = evaluateReport({ venues: { mohawkAustin: venue({ rowsPushed: 10, previousRowsPushed: 10, previousRowsFiltered: 20 }) } });
+        assert.deepEqual(alerts.map((a) => a.type), ['dropOff']);
+    });
+});
+
+describe('createRunReport', () => {
+    test('stays healthy with warnings only', () => {
+        const runReport = createRunReport({ venueIds: ['mohawkAustin', 'stubbsAustin'] });
+        runReport.requestHandled('mohawkAustin', { url: 'https://mohawkaustin.com/', isDetail: false });
+        runReport.rowsPushed('mohawkAustin', 3);
+        runReport.requestHandled('stubbsAustin', { url: 'https://stubbs.example/', isDetail: false });
+
+        const report = runReport.finish(null);
+        assert.equal(report.healthy, true);
+        assert.deepEqual(report.alerts.map((a) => [a.venueId, a.severity]), [['stubbsAustin', 'warning']]);
+        assert.deepEqual(runReport.failedVenueIds(), []);
+    });
+
+    test('fails a venue that lost all rows without failed requests', () => {
+        const runReport = createRunReport({ venueIds: ['mohawkAustin'] });
+        runReport.requestHandled('mohawkAustin', { url: 'https://mohawkaustin.com/', isDetail: false });
+
+        const report = runReport.finish({ venues: { mohawkAustin: { rowsPushed: 60 } } });
+        assert.equal(report.healthy, false);
+        assert.deepEqual(report.alerts.map((a) => a.type), ['noRows', 'dropOff']);
+    });
+
+    test('lists venues with failed requests', () => {
+        const runReport = createRunReport({ venueIds: ['mohawkAustin'] });
+        runReport.requestFailed('mohawkAustin', { url: 'https://mohawkaustin.com/', error: 'timeout' });
+
+        assert.deepEqual(runReport.failedVenueIds(), ['mohawkAustin']);
+        assert.equal(runReport.finish(null).healthy, false);
+    });
+
+    test('keeps a venue with only non-concert shows healthy', () => {
+        const runReport = createRunReport({ venueIds: ['mohawkAustin'] });
+        runReport.requestHandled('mohawkAustin', { url: 'https://mohawkaustin.com/', isDetail: false });
+        runReport.rowsFiltered('mohawkAustin', 4);
+
+        const report = runReport.finish({ venues: { mohawkAustin: { rowsPushed: 6 } } });
+        assert.equal(report.healthy, true);
+        assert.deepEqual(report.alerts, []);
+        assert.equal(report.venues.mohawkAustin.rowsFiltered, 4);
+        assert.equal(report.venues.mohawkAustin.previousRowsFiltered, 0);
+        assert.equal(report.totals.rowsFiltered, 4);
+    });
+});
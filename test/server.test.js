@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+
+import { buildArtistId, canonicalArtistKey } from '../src/artists.js';
+import { artistMatcher, createApiHandler, latestEvents, queryEvents } from '../src/server.js';
+
+const artist = (artistName, role = 'headliner') => ({ role, artistName, artistId: buildArtistId(canonicalArtistKey(artistName)) });
+
+const EVENTS = [
+    {
+        eventId: 'a000000000000001',
+        venueId: 'mohawkAustin',
+        title: 'The Black Angels',
+        eventDate: '2025-12-05',
+        eventStartISO: '2025-12-05T20:00:00-06:00',
+        eventType: 'concert',
+        lineup: [artist('The Black Angels'), artist('Opener', 'support')],
+        scrapedAt: '2025-11-26T14:00:00.000Z',
+    },
+    {
+        eventId: 'a000000000000002',
+        venueId: 'stubbsAustin',
+        title: 'Sir Woman Band',
+        eventDate: '2025-12-01',
+        eventStartISO: '2025-12-01T19:00:00-06:00',
+        eventStatus: 'cancelled',
+        lineup: [artist('Sir Woman Band')],
+        scrapedAt: '2025-11-26T14:00:00.000Z',
+    },
+    {
+        eventId: 'a000000000000003',
+        venueId: 'mohawkAustin',
+        title: 'Trivia Night',
+        eventDate: '2025-12-03',
+        eventType: 'trivia',
+        lineup: [artist('Trivia Night')],
+        scrapedAt: '2025-11-26T14:00:00.000Z',
+    },
+    {
+        eventId: 'a000000000000004',
+        venueId: 'mohawkAustin',
+        title: 'Undated Show',
+        eventDate: null,
+        lineup: [artist('Undated Band')],
+        scrapedAt: '2025-11-26T14:00:00.000Z',
+    },
+];
+
+const ids = (result) => result.items.map((e) => e.eventId.slice(-1));
+const query = (search, options) => queryEvents(EVENTS, new URLSearchParams(search), options);
+
+describe('latestEvents', () => {
+    test('keeps the newest record per eventId and skips records without one', () => {
+        const records = [
+            { eventId: 'x', title: 'old', scrapedAt: '2025-11-01T00:00:00Z' },
+            { eventId: 'x', title: 'new', scrapedAt: '2025-11-20T00:00:00Z' },
+            { eventId: 'x', title: 'older', scrapedAt: '2025-10-01T00:00:00Z' },
+            { title: 'no id' },
+            null,
+        ];
+        assert.deepEqual(latestEvents(records).map((e) => e.title), ['new']);
+    });
+});
+
+describe('artistMatcher', () => {
+    test('matches any spelling of a name', () => {
+        const matches = artistMatcher('BLACK ANGELS');
+        assert.equal(matches(artist('The Black Angels')), true);
+        assert.equal(matches(artist('Opener')), false);
+    });
+
+    test('matches an artistId', () => {
+        const { artistId } = artist('Opener');
+        assert.equal(artistMatcher(artistId)(artist('Opener')), true);
+        assert.equal(artistMatcher(artistId)(artist('The Black Angels')), false);
+    });
+
+    test('follows the alias table to a merged act', () => {
+        const { artistId } = artist('Sir Woman Band');
+        assert.equal(artistMatcher('Sir Woman', { 'sir woman': artistId })(artist('Sir Woman Band')), true);
+        assert.equal(artistMatcher('Sir Woman')(artist('Sir Woman Band')), false);
+    });
+
+    test('rejects an empty name with a 400', () => {
+        assert.throws(() => artistMatcher('  '), { statusCode: 400 });
+    });
+});
+
+describe('queryEvents', () => {
+    test('sorts by date with undated shows last and pages the result', () => {
+        assert.deepEqual(ids(query('')), ['2', '3', '1', '4']);
+        assert.deepEqual(ids(query('sort=-date')), ['4', '1', '3', '2']);
+        const page = query('limit=2&offset=1');
+        assert.deepEqual([page.total, page.limit, page.offset, ids(page)], [4, 2, 1, ['3', '1']]);
+    });
+
+    test('filters by date range, dropping undated shows', () => {
+        assert.deepEqual(ids(query('from=2025-12-02&to=2025-12-05')), ['3', '1']);
+    });
+
+    test('filters by venue, status, type, artist and text', () => {
+        assert.deepEqual(ids(query('venue=stubbsAustin')), ['2']);
+        assert.deepEqual(ids(query('status=scheduled')), ['3', '1', '4']);
+        assert.deepEqual(ids(query('type=concert')), ['2', '1', '4']);
+        assert.deepEqual(ids(query('artist=black%20angels')), ['1']);
+        assert.deepEqual(ids(query('q=opener')), ['1']);
+    });
+
+    test('rejects bad parameters with a 400', () => {
+        assert.throws(() => query('from=12/01/2025'), { statusCode: 400 });
+        assert.throws(() => query('sort=price'), { statusCode: 400 });
+        assert.throws(() => query('limit=-1'), { statusCode: 400 });
+        assert.throws(() => query('offset=abc'), { statusCode: 400 });
+    });
+
+    test('caps the limit', () => {
+        assert.equal(query('limit=100000').limit, 500);
+    });
+});
+
+describe('createApiHandler', () => {
+    let server;
+    let baseUrl;
+    let failData = false;
+    const exceptions = [];
+    const log = { info() {}, warning() {}, error() {}, exception: (e) => exceptions.push(e) };
+
+    before(async () => {
+        const getData = async () => {
+            if (failData) throw new Error('storage unavailable');
+            return { events: EVENTS, aliases: {} };
+        };
+        server = http.createServer(createApiHandler({ getData, venues: [{ id: 'mohawkAustin', name: 'Mohawk' }], log }));
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    const get = async (path, options) => {
+        const res = await fetch(`${baseUrl}${path}`, options);
+        return { status: res.status, body: res.status === 204 ? null : await res.json() };
+    };
+
+    test('answers the artist shows endpoint', async () => {
+        const { status, body } = await get('/artists/The%20Black%20Angels/shows');
+        assert.equal(status, 200);
+        assert.deepEqual(ids(body), ['1']);
+    });
+
+    test('answers a malformed path escape with a 400', async () => {
+        const { status, body } = await get('/artists/%E0%A4%A/shows');
+        assert.equal(status, 400);
+        assert.match(body.error, /Malformed escape/);
+    });
+
+    test('answers bad query parameters with a 400', async () => {
+        assert.equal((await get('/events?sort=price')).status, 400);
+        assert.equal((await get('/events?from=tomorrow')).status, 400);
+    });
+
+    test('answers unknown shows and endpoints with a 404', async () => {
+        assert.equal((await get('/events/ffffffffffffffff')).status, 404);
+        assert.equal((await get('/tickets')).status, 404);
+    });
+
+    test('only allows GET', async () => {
+        assert.equal((await get('/events', { method: 'POST' })).status, 405);
+        assert.equal((await get('/events', { method: 'OPTIONS' })).status, 204);
+    });
+
+    test('answers storage errors with a 500 and logs them', async () => {
+        failData = true;
+        try {
+            const { status, body } = await get('/events');
+            assert.equal(status, 500);
+            assert.deepEqual(body, { error: 'Internal error.' });
+            assert.equal(exceptions.length, 1);
+        } finally {
+            failData = false;
+        }
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { diffSnapshot } from '../src/snapshot.js';
+
+const today = '2025-11-26';
+const now = '2025-11-26T14:00:00.000Z';
+
+const event = (eventId, { venueId = 'mohawkAustin', eventDate = '2025-12-05', headliner = eventId, supports = [], ...rest } = {}) => ({
+    eventId,
+    venueId,
+    title: headliner,
+    eventDate,
+    eventStartISO: `${eventDate}T20:00:00-06:00`,
+    doorsTime: '19:00',
+    showTime: '20:00',
+    lineup: [{ role: 'headliner', artistName: headliner }, ...supports.map((artistName) => ({ role: 'support', artistName }))],
+    sourceUrl: `https://example.com/${eventId}`,
+    ...rest,
+});
+
+// Snapshot after one run that saw `events` from complete crawls.
+const snapshotOf = (events) => diffSnapshot(null, events, { crawledVenueIds: events.map((e) => e.venueId), today, now: '2025-11-20T14:00:00.000Z' }).snapshot;
+
+describe('diffSnapshot', () => {
+    test('reports every show as added on the first run', () => {
+        const { changes, snapshot } = diffSnapshot(null, [event('a'), event('b')], { crawledVenueIds: ['mohawkAustin'], today, now });
+        assert.deepEqual(changes.counts, { added: 2, changed: 0, removed: 0 });
+        assert.deepEqual(Object.keys(snapshot.events).sort(), ['a', 'b']);
+        assert.equal(snapshot.events.a.firstSeenAt, now);
+    });
+
+    test('reports tracked field and lineup changes', () => {
+        const previous = snapshotOf([event('a', { supports: ['Opener'] })]);
+        const { changes, snapshot } = diffSnapshot(previous, [event('a', { showTime: '21:00', supports: ['Other Opener'] })], { crawledVenueIds: ['mohawkAustin'], today, now });
+
+        assert.equal(changes.counts.changed, 1);
+        const [change] = changes.changed;
+        assert.deepEqual(change.changes.showTime, { before: '20:00', after: '21:00' });
+        assert.deepEqual(change.changes.lineup.added, ['Other Opener']);
+        assert.deepEqual(change.changes.lineup.removed, ['Opener']);
+        assert.equal(change.changes.lineup.headlinerChanged, false);
+        assert.equal(snapshot.events.a.firstSeenAt, '2025-11-20T14:00:00.000Z');
+    });
+
+    test('pairs a moved show by its URL instead of removed + added', () => {
+        const previous = snapshotOf([event('a-dec5', { headliner: 'Band', sourceUrl: 'https://example.com/band' })]);
+        const moved = event('a-dec6', { headliner: 'Band', eventDate: '2025-12-06', sourceUrl: 'https://example.com/band' });
+        const { changes } = diffSnapshot(previous, [moved], { crawledVenueIds: ['mohawkAustin'], today, now });
+
+        assert.deepEqual(changes.counts, { added: 0, changed: 1, removed: 0 });
+        assert.equal(changes.changed[0].previousEventId, 'a-dec5');
+        assert.deepEqual(changes.changed[0].changes.eventDate, { before: '2025-12-05', after: '2025-12-06' });
+    });
+
+    test('keeps a missing show for one run before reporting it removed', () => {
+        const previous = snapshotOf([event('a'), event('b')]);
+        const first = diffSnapshot(previous, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now });
+        assert.equal(first.changes.counts.removed, 0);
+        assert.equal(first.snapshot.events.b.missedRuns, 1);
+
+        const second = diffSnapshot(first.snapshot, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now });
+        assert.equal(second.changes.counts.removed, 1);
+        assert.equal(second.changes.removed[0].eventId, 'b');
+        assert.equal(second.changes.removed[0].likelyCancelled, true);
+        assert.equal(second.snapshot.events.b, undefined);
+    });
+
+    test('resets the missed-runs counter when a show comes back', () => {
+        const previous = snapshotOf([event('a'), event('b')]);
+        const missed = diffSnapshot(previous, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now });
+        const back = diffSnapshot(missed.snapshot, [event('a'), event('b')], { crawledVenueIds: ['mohawkAustin'], today, now });
+
+        assert.deepEqual(back.changes.counts, { added: 0, changed: 0, removed: 0 });
+        assert.equal(back.snapshot.events.b.missedRuns, undefined);
+    });
+
+    test('reports a show removed after one miss with removeAfterMissedRuns: 1', () => {
+        const previous = snapshotOf([event('a'), event('b')]);
+        const { changes } = diffSnapshot(previous, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now, removeAfterMissedRuns: 1 });
+        assert.deepEqual(changes.removed.map((e) => e.eventId), ['b']);
+    });
+
+    test('carries over shows of venues whose crawl was incomplete', () => {
+        const previous = snapshotOf([event('a'), event('b')]);
+        // The venue produced "a" but is not in crawledVenueIds: a request failed.
+        const { changes, snapshot } = diffSnapshot(previous, [event('a')], { crawledVenueIds: [], today, now });
+
+        assert.equal(changes.counts.removed, 0);
+        assert.deepEqual(snapshot.events.b, previous.events.b);
+    });
+
+    test('carries over shows of venues without events this run', () => {
+        const previous = snapshotOf([event('a'), event('s', { venueId: 'stubbsAustin' })]);
+        const { changes, snapshot } = diffSnapshot(previous, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now, removeAfterMissedRuns: 1 });
+
+        assert.equal(changes.counts.removed, 0);
+        assert.ok(snapshot.events.s);
+    });
+
+    test('drops past shows silently', () => {
+        const previous = snapshotOf([event('a'), event('old', { eventDate: '2025-11-01' })]);
+        const { changes, snapshot } = diffSnapshot(previous, [event('a')], { crawledVenueIds: ['mohawkAustin'], today, now, removeAfterMissedRuns: 1 });
+
+        assert.equal(changes.counts.removed, 0);
+        assert.equal(snapshot.events.old, undefined);
+    });
+});
@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { Actor } from 'apify';
+
+import { buildArtistId, canonicalArtistKey } from '../src/artists.js';
+import {
+    buildWebhookPayload,
+    createWatchlist,
+    createWatchlistMatcher,
+    SENT_HITS_KEY,
+    similarity,
+    WATCHLIST_HITS_KEY,
+    WATCHLIST_STORE_NAME,
+} from '../src/watchlist.js';
+
+// Key-value stores go to a throwaway directory instead of ./storage.
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watchlist-test-'));
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+const quietLog = { debug() {}, info() {}, warning() {}, error() {}, exception() {} };
+
+const idOfName = (name) => buildArtistId(canonicalArtistKey(name));
+
+const row = (artistName, { eventId = 'e1', role = 'headliner', venueId = 'mohawkAustin' } = {}) => ({
+    artistName,
+    artistId: idOfName(artistName),
+    role,
+    eventId,
+    venueId,
+    eventDate: '2025-12-05',
+    eventStartISO: '2025-12-05T20:00:00-06:00',
+    sourceUrl: `https://example.com/${eventId}`,
+    scrapedAt: '2025-11-26T14:00:00.000Z',
+});
+
+describe('similarity', () => {
+    test('scores edits against the longer string', () => {
+        assert.equal(similarity('graves', 'graves'), 1);
+        assert.equal(similarity('graves', ''), 0);
+        assert.equal(similarity('graves', 'grave'), 1 - 1 / 6);
+    });
+
+    test('counts swapped neighbours as one edit', () => {
+        assert.equal(similarity('graves', 'graevs'), 1 - 1 / 6);
+    });
+});
+
+describe('createWatchlistMatcher', () => {
+    test('matches a name in any spelling', () => {
+        const match = createWatchlistMatcher(['black angels']);
+        assert.deepEqual(match(row('The Black Angels')), { entry: 'black angels', matchType: 'name', similarity: 1 });
+        assert.equal(match(row('Black Pumas')), null);
+    });
+
+    test('matches an artistId', () => {
+        const match = createWatchlistMatcher([idOfName('Sir Woman')]);
+        assert.equal(match(row('Sir Woman')).matchType, 'id');
+        assert.equal(match(row('Sir Woman Band')), null);
+    });
+
+    test('follows the alias table through idOf', () => {
+        const match = createWatchlistMatcher(['Sir Woman'], { idOf: () => idOfName('Sir Woman Band') });
+        assert.deepEqual(match(row('Sir Woman Band')), { entry: 'Sir Woman', matchType: 'name', similarity: 1 });
+    });
+
+    test('allows typos only with fuzzy and only for longer names', () => {
+        assert.equal(createWatchlistMatcher(['Khruangbin'])(row('Khruangbinn')), null);
+        assert.deepEqual(createWatchlistMatcher(['Khruangbin'], { fuzzy: true })(row('Khruangbinn')), { entry: 'Khruangbin', matchType: 'fuzzy', similarity: 0.91 });
+        assert.equal(createWatchlistMatcher(['Mau'], { fuzzy: true })(row('Man')), null);
+        assert.equal(createWatchlistMatcher(['Khruangbin'], { fuzzy: true })(row('Kurt Vile')), null);
+    });
+
+    test('ignores blank entries', () => {
+        assert.equal(createWatchlistMatcher(['', '  ', null])(row('Anyone')), null);
+    });
+});
+
+describe('buildWebhookPayload', () => {
+    const hits = [
+        { ...row('The Black Angels'), entry: 'black angels', matchType: 'name', venueName: 'Mohawk', title: 'The Black Angels', ticketUrl: 'https://tickets.example/1' },
+        { ...row('Khruangbinn', { eventId: 'e2', role: 'support' }), entry: 'Khruangbin', matchType: 'fuzzy', venueName: 'Mohawk', title: 'Headliner w/ Khruangbinn', ticketUrl: null },
+    ];
+
+    test('sends the hits as they are in json', () => {
+        assert.deepEqual(buildWebhookPayload(hits, 'json'), { type: 'watchlistHits', count: 2, hits });
+    });
+
+    test('builds a Slack message with a header and one line per hit', () => {
+        const payload = buildWebhookPayload(hits, 'slack');
+        assert.match(payload.text, /^Watchlist: 2 new shows\n/);
+        assert.equal(payload.blocks[0].text.text, 'Watchlist: 2 new shows');
+        assert.match(payload.blocks[1].text.text, /• \*The Black Angels at Mohawk on 2025-12-05\* <https:\/\/tickets\.example\/1\|details>/);
+        assert.match(payload.blocks[1].text.text, /Khruangbinn \(Headliner w\/ Khruangbinn\) at Mohawk/);
+    });
+
+    test('builds a Discord message with one embed per hit', () => {
+        const payload = buildWebhookPayload(hits, 'discord');
+        assert.equal(payload.content, 'Watchlist: 2 new shows');
+        assert.deepEqual(payload.embeds[0], {
+            title: 'The Black Angels at Mohawk on 2025-12-05',
+            url: 'https://tickets.example/1',
+            description: 'Headlining',
+            timestamp: '2025-12-06T02:00:00.000Z',
+        });
+        assert.equal(payload.embeds[1].url, 'https://example.com/e2');
+        assert.equal(payload.embeds[1].description, 'Supporting, matched "Khruangbin"');
+    });
+});
+
+describe('createWatchlist (local webhook)', () => {
+    let server;
+    let webhookUrl;
+    let received = [];
+    let failRequests = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                if (failRequests > 0) {
+                    failRequests--;
+                    res.writeHead(500).end();
+                    return;
+                }
+                received.push(JSON.parse(body));
+                res.writeHead(204).end();
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await fs.rm(storageDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        received = [];
+        failRequests = 0;
+        const store = await Actor.openKeyValueStore(WATCHLIST_STORE_NAME);
+        await store.setValue(SENT_HITS_KEY, null);
+    });
+
+    // One crawl: checks the rows and finishes.
+    const run = async (rows, options = {}) => {
+        const watchlist = createWatchlist({ entries: ['Black Angels', 'Opener'], webhookUrl, log: quietLog, ...options });
+        watchlist.check(rows, [{ eventId: 'e1', title: 'The Black Angels', ticketUrl: 'https://tickets.example/1' }]);
+        return watchlist.finish();
+    };
+
+    const sentHits = async () => {
+        const store = await Actor.openKeyValueStore(WATCHLIST_STORE_NAME);
+        return (await store.getValue(SENT_HITS_KEY)) || { sent: {} };
+    };
+
+    test('sends a hit once and never again on later runs', async () => {
+        const rows = [row('The Black Angels'), row('Opener', { role: 'support' }), row('Someone Else', { role: 'support' })];
+
+        const first = await run(rows);
+        assert.equal(received.length, 1);
+        assert.equal(received[0].count, 2);
+        assert.deepEqual(first.hits.map((h) => [h.artistName, h.notified, h.alreadySent]), [['The Black Angels', true, false], ['Opener', true, false]]);
+        assert.equal(Object.keys((await sentHits()).sent).length, 2);
+
+        const second = await run(rows);
+        assert.equal(received.length, 1);
+        assert.deepEqual(second.hits.map((h) => [h.notified, h.alreadySent]), [[false, true], [false, true]]);
+        assert.equal((await Actor.getValue(WATCHLIST_HITS_KEY)).hits.length, 2);
+    });
+
+    test('announces only the new show of a known artist', async () => {
+        await run([row('The Black Angels')]);
+        await run([row('The Black Angels'), row('The Black Angels', { eventId: 'e2' })]);
+
+        assert.equal(received.length, 2);
+        assert.deepEqual(received[1].hits.map((h) => h.eventId), ['e2']);
+    });
+
+    test('retries a failed batch on the next run', async () => {
+        failRequests = 1;
+        const first = await run([row('The Black Angels')]);
+        assert.equal(received.length, 0);
+        assert.deepEqual(first.hits.map((h) => [h.notified, h.alreadySent]), [[false, false]]);
+        assert.deepEqual((await sentHits()).sent, {});
+
+        const second = await run([row('The Black Angels')]);
+        assert.equal(received.length, 1);
+        assert.equal(second.hits[0].notified, true);
+    });
+
+    test('splits hits into messages the format allows', async () => {
+        const rows = Array.from({ length: 12 }, (_, i) => row('The Black Angels', { eventId: `e${i + 1}` }));
+        const watchlist = createWatchlist({ entries: ['Black Angels'], webhookUrl, webhookFormat: 'discord', log: quietLog });
+        watchlist.check(rows);
+        const record = await watchlist.finish();
+
+        // Discord takes ten embeds per message.
+        assert.deepEqual(received.map((m) => m.embeds.length), [10, 2]);
+        assert.equal(record.hits.every((h) => h.notified), true);
+    });
+
+    test('sends nothing and leaves SENT_HITS alone for a replayed crawl', async () => {
+        const record = await run([row('The Black Angels')], { persist: false });
+
+        assert.equal(received.length, 0);
+        assert.deepEqual(record.hits.map((h) => [h.notified, h.alreadySent]), [[false, false]]);
+        assert.deepEqual((await sentHits()).sent, {});
+
+        await run([row('The Black Angels')]);
+        assert.equal(received.length, 1);
+    });
+
+    test('does nothing without watchlist entries', async () => {
+        const watchlist = createWatchlist({ entries: [' '], webhookUrl, log: quietLog });
+        watchlist.check([row('The Black Angels')]);
+        assert.equal(await watchlist.finish(), null);
+        assert.equal(received.length, 0);
+    });
+
+    test('rejects an unknown webhook format', () => {
+        assert.throws(() => createWatchlist({ webhookFormat: 'teams', log: quietLog }), /Unknown watchlistWebhookFormat/);
+    });
+});